@@ -0,0 +1,15 @@
+// Type definitions for run-verify/adapters
+
+import { Step, VerifyOptions } from "./index";
+
+/** A test that runs check functions with asyncVerify */
+export type VerifyIt = (title: string, ...checkFuncs: Array<VerifyOptions | Step>) => any;
+
+/** Create a verify-aware it for mocha, jest, or node:test */
+export function createVerifyIt(
+  it: (...args: any[]) => any,
+  options?: { runner?: "mocha" | "jest" | "node:test"; timeout?: number }
+): VerifyIt;
+
+/** Run check functions with asyncVerify as a test in mocha or jest */
+export const verifyIt: VerifyIt;
@@ -0,0 +1,133 @@
+"use strict";
+
+const { asyncVerify, runTimeout } = require("./index");
+const { isVerifyOptions } = require("./util");
+const { WRAPPED_FN } = require("./symbols");
+
+/*
+ * Time taken off the test runner's timeout for the runTimeout of the
+ * verification, so it fails with its own error before the runner gives up.
+ */
+const TIMEOUT_MARGIN = 20;
+
+/**
+ * Gets the status of a step in a verification trace
+ * @param {Object} s - The step
+ * @returns {string} "passed", "failed", or "stopped" if a failure from elsewhere ended it
+ */
+const stepStatus = s => {
+  if (s.passed === undefined) {
+    return "stopped";
+  }
+  return s.passed ? "passed" : "failed";
+};
+
+/**
+ * Formats the steps recorded in a verification trace for an error message
+ * @param {Array<Object>} trace - The verification trace
+ * @returns {string} One line per step
+ */
+const formatTrace = trace => {
+  return trace.map(s => `  ${stepStatus(s)}: ${s.label} (${s.kind}, ${s.time}ms)`).join("\n");
+};
+
+/**
+ * Runs check functions with asyncVerify and records the trace of the steps
+ * @param {Array} checkFuncs - Check functions, optionally led by an options object
+ * @param {number} timeout - The test runner's timeout, falsy if there is none
+ * @returns {Promise<Object>} Resolves with { error, trace }
+ */
+const verifyWithTrace = (checkFuncs, timeout) => {
+  const options = isVerifyOptions(checkFuncs[0]) ? checkFuncs[0] : {};
+  const funcs = options === checkFuncs[0] ? checkFuncs.slice(1) : checkFuncs;
+  let trace = [];
+  const recorder = { onDone: info => (trace = info.trace) };
+  const hasTimeout = funcs.some(x => x && x.hasOwnProperty(WRAPPED_FN) && x._timeout);
+  const withTimeout =
+    timeout > TIMEOUT_MARGIN && !hasTimeout
+      ? [runTimeout(timeout - TIMEOUT_MARGIN)].concat(funcs)
+      : funcs;
+
+  return asyncVerify(
+    Object.assign({}, options, { plugins: (options.plugins || []).concat(recorder) }),
+    ...withTimeout
+  ).then(
+    () => ({ trace }),
+    error => ({ error, trace })
+  );
+};
+
+/**
+ * Creates a verify-aware it for a test runner
+ *
+ * - mocha: the test's own timeout, from `this.timeout()`, is used for runTimeout
+ * - jest: `timeout` is passed to jest's `it` and used for runTimeout
+ * - node:test: `timeout` is passed to `it`, and each step is reported with `t.test`
+ *   after the verification is done
+ *
+ * For mocha and jest, the list of steps is added to the error message on failure.
+ *
+ * @param {Function} it - The test runner's it or test function
+ * @param {Object} [options] - options
+ * @param {string} [options.runner] - "mocha" (default), "jest", or "node:test"
+ * @param {number} [options.timeout] - Test timeout in ms for jest and node:test
+ * @returns {Function} verifyIt(title, ...checkFuncs)
+ */
+const createVerifyIt = (it, { runner = "mocha", timeout } = {}) => {
+  if (runner === "node:test") {
+    return (title, ...checkFuncs) => {
+      return it(title, { timeout }, async t => {
+        const { error, trace } = await verifyWithTrace(checkFuncs, timeout);
+        // the steps are replayed as sub tests, since node:test can't add them as they run,
+        // and a step stopped by a failure from elsewhere is left out
+        for (const s of trace.filter(x => x.passed !== undefined)) {
+          await t.test(s.label, () => {
+            if (!s.passed) throw error;
+          });
+        }
+        // a failed sub test fails the test, so only throw an error that no step reported
+        if (error && trace.every(s => s.passed !== false)) throw error;
+      });
+    };
+  }
+
+  return (title, ...checkFuncs) => {
+    /**
+     * Runs the verification as the test, with the context of the test from mocha as this
+     * @this {Object}
+     * @returns {Promise} Resolves when the verification passed
+     */
+    function test() {
+      const runnerTimeout = runner === "mocha" ? this.timeout() : timeout;
+      return verifyWithTrace(checkFuncs, runnerTimeout).then(({ error, trace }) => {
+        if (error) {
+          if (trace.length > 0) {
+            error.message = `${error.message}\nsteps:\n${formatTrace(trace)}`;
+          }
+          throw error;
+        }
+      });
+    }
+
+    return runner === "jest" ? it(title, test, timeout) : it(title, test);
+  };
+};
+
+/**
+ * Runs check functions with asyncVerify as a test, using the global `it` of mocha or jest
+ * @param {string} title - The test title
+ * @param {...CheckFunction} checkFuncs - Check functions to run in sequence.
+ * The first one can be an options object for asyncVerify.
+ * @returns {*} Whatever the runner's it returns
+ */
+const verifyIt = (title, ...checkFuncs) => {
+  const runner = process.env.JEST_WORKER_ID ? "jest" : "mocha";
+  return createVerifyIt(global.it, { runner })(title, ...checkFuncs);
+};
+
+module.exports = {
+  /** Creates a verify-aware it for mocha, jest, or node:test */
+  createVerifyIt,
+  /** Runs check functions with asyncVerify as a test in mocha or jest */
+  verifyIt
+};
@@ -0,0 +1,164 @@
+"use strict";
+
+const assert = require("assert");
+const { deepDiff, formatDiff } = require("./diff");
+const { VERIFY_CONTEXT } = require("./symbols");
+
+/**
+ * Names a check function that takes the result, so the trace and errors show the name,
+ * strict mode knows its param is the result, and context mode doesn't pass it the context
+ * @param {string} name - The name
+ * @param {Function} fn - The check function
+ * @returns {Function} The check function
+ */
+const named = (name, fn) => {
+  fn[VERIFY_CONTEXT] = false;
+  fn.verifyKind = "result";
+  return Object.defineProperty(fn, "name", { value: name });
+};
+
+/**
+ * Creates an AssertionError for a check that failed
+ * @param {Object} params - params
+ * @param {string} params.name - Name of the check
+ * @param {string} params.message - What the check expected
+ * @param {Array<Object>} params.diff - The differences from deepDiff
+ * @param {*} params.expected - The expected value
+ * @param {*} params.actual - The actual value
+ * @returns {Error} The error, with the differences in diff
+ */
+const checkError = ({ name, message, diff, expected, actual }) => {
+  const err = new assert.AssertionError({
+    message: `${name}: ${message}\n${formatDiff(diff)}`,
+    expected,
+    actual,
+    operator: name
+  });
+  err.diff = diff;
+  return err;
+};
+
+/**
+ * Creates a check function that verifies the result is strictly equal to expected
+ * @param {*} expected - The expected value
+ * @returns {Function} Check function that passes the result to the next check function
+ */
+const verifyEqual = expected => {
+  return named("verifyEqual", actual => {
+    if (!Object.is(expected, actual)) {
+      throw checkError({
+        name: "verifyEqual",
+        message: "expected values to be strictly equal",
+        diff: [{ path: "value", kind: "changed", expected, actual }],
+        expected,
+        actual
+      });
+    }
+    return actual;
+  });
+};
+
+/**
+ * Creates a check function that verifies the result is deeply equal to expected
+ * @param {*} expected - The expected value
+ * @returns {Function} Check function that passes the result to the next check function
+ */
+const verifyDeepEqual = expected => {
+  return named("verifyDeepEqual", actual => {
+    const diff = deepDiff(expected, actual);
+    if (diff.length > 0) {
+      throw checkError({
+        name: "verifyDeepEqual",
+        message: "expected values to be deeply equal",
+        diff,
+        expected,
+        actual
+      });
+    }
+    return actual;
+  });
+};
+
+/**
+ * Creates a check function that verifies the result has the keys and values of partial.
+ * Keys that are not in partial are ignored, at any depth.
+ * @param {Object} partial - The expected keys and values
+ * @returns {Function} Check function that passes the result to the next check function
+ */
+const verifyMatch = partial => {
+  return named("verifyMatch", actual => {
+    const diff = deepDiff(partial, actual, { partial: true });
+    if (diff.length > 0) {
+      throw checkError({
+        name: "verifyMatch",
+        message: "expected value to match",
+        diff,
+        expected: partial,
+        actual
+      });
+    }
+    return actual;
+  });
+};
+
+const typeOf = x => {
+  if (x === null) {
+    return "null";
+  }
+  return Array.isArray(x) ? "array" : typeof x;
+};
+
+/**
+ * Creates a check function that verifies the type of the result
+ * @param {string} type - The expected type, from typeof, or "array" or "null"
+ * @returns {Function} Check function that passes the result to the next check function
+ */
+const verifyType = type => {
+  return named("verifyType", actual => {
+    const actualType = typeOf(actual);
+    if (actualType !== type && typeof actual !== type) {
+      throw checkError({
+        name: "verifyType",
+        message: `expected value to be of type '${type}'`,
+        diff: [{ path: "value", kind: "changed", expected: type, actual: actualType }],
+        expected: type,
+        actual: actualType
+      });
+    }
+    return actual;
+  });
+};
+
+/**
+ * Creates a check function that verifies the length of the result, or the size of a Map or Set
+ * @param {number} length - The expected length
+ * @returns {Function} Check function that passes the result to the next check function
+ */
+const verifyLength = length => {
+  return named("verifyLength", actual => {
+    const isCollection = actual instanceof Map || actual instanceof Set;
+    const actualLength = actual === null || actual === undefined ? actual : actual.length;
+    const size = isCollection ? actual.size : actualLength;
+    if (size !== length) {
+      const path = isCollection ? "value.size" : "value.length";
+      throw checkError({
+        name: "verifyLength",
+        message: `expected value to have length ${length}`,
+        diff: [{ path, kind: "changed", expected: length, actual: size }],
+        expected: length,
+        actual: size
+      });
+    }
+    return actual;
+  });
+};
+
+module.exports = {
+  named,
+  checkError,
+  verifyEqual,
+  verifyDeepEqual,
+  verifyMatch,
+  verifyType,
+  verifyLength
+};
@@ -0,0 +1,246 @@
+"use strict";
+
+const util = require("util");
+
+/* eslint-disable no-magic-numbers */
+
+// number of unchanged lines to show around a change
+const CONTEXT_LINES = 3;
+
+/**
+ * Computes the lengths of the longest common subsequences of the tails of two arrays
+ * @param {Array} a - The first array
+ * @param {Array} b - The second array
+ * @returns {Array<Array<number>>} table where [i][j] is the length for a[i..] and b[j..]
+ */
+const lcsTable = (a, b) => {
+  const lcs = [];
+  for (let i = a.length; i >= 0; i--) {
+    lcs[i] = new Array(b.length + 1).fill(0);
+    for (let j = b.length - 1; i < a.length && j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  return lcs;
+};
+
+/**
+ * Compares two arrays of lines
+ * @param {string[]} a - The expected lines
+ * @param {string[]} b - The actual lines
+ * @returns {Array<Object>} { mark, line } for each line, mark is "-", "+", or " "
+ */
+const diffEntries = (a, b) => {
+  const lcs = lcsTable(a, b);
+  const entries = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      entries.push({ mark: " ", line: a[i++] });
+      j++;
+    } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      entries.push({ mark: "-", line: a[i++] });
+    } else {
+      entries.push({ mark: "+", line: b[j++] });
+    }
+  }
+  return entries;
+};
+
+/**
+ * Creates a line by line diff of two strings
+ * @param {string} expected - The expected string
+ * @param {string} actual - The actual string
+ * @returns {string} The diff, with lines only in expected prefixed by "- ", lines only
+ * in actual by "+ ", and unchanged lines by "  ". Long runs of unchanged lines are
+ * collapsed into "  ...".
+ */
+const diffLines = (expected, actual) => {
+  const entries = diffEntries(expected.split("\n"), actual.split("\n"));
+  const changed = entries.map((x, ix) => (x.mark !== " " ? ix : -1)).filter(ix => ix >= 0);
+  const isNearChange = ix => changed.some(c => Math.abs(c - ix) <= CONTEXT_LINES);
+
+  return entries
+    .map((x, ix) => {
+      if (isNearChange(ix)) {
+        return `${x.mark} ${x.line}`;
+      }
+      return isNearChange(ix - 1) || ix === 0 ? "  ..." : undefined;
+    })
+    .filter(x => x !== undefined)
+    .join("\n");
+};
+
+const isObject = x => typeof x === "object" && x !== null;
+
+const tagOf = x => Object.prototype.toString.call(x);
+
+// works for objects without a prototype, like the ones from querystring.parse
+const hasOwn = (x, key) => Object.prototype.hasOwnProperty.call(x, key);
+
+// tags of the objects that box a primitive, like new Number(1)
+const BOXED_TAGS = ["[object Number]", "[object String]", "[object Boolean]", "[object BigInt]"];
+
+const inspect = x => util.inspect(x, { depth: 2, breakLength: Infinity });
+
+/**
+ * Checks if two objects can be compared key by key
+ * @param {Object} exp - The expected object
+ * @param {Object} act - The actual object
+ * @param {boolean} partial - Whether to skip comparing the prototypes
+ * @returns {boolean} true if they can be compared key by key
+ */
+const isSameKind = (exp, act, partial) => {
+  if (Array.isArray(exp) !== Array.isArray(act)) {
+    return false;
+  }
+  if (!partial && Object.getPrototypeOf(exp) !== Object.getPrototypeOf(act)) {
+    return false;
+  }
+  if (exp instanceof Map !== act instanceof Map || exp instanceof Set !== act instanceof Set) {
+    return false;
+  }
+  if (exp instanceof Date) {
+    return act instanceof Date && exp.getTime() === act.getTime();
+  }
+  if (BOXED_TAGS.indexOf(tagOf(exp)) >= 0) {
+    return tagOf(act) === tagOf(exp) && Object.is(exp.valueOf(), act.valueOf());
+  }
+  return !(exp instanceof RegExp) || String(exp) === String(act);
+};
+
+const keyPath = (path, key, isArray) => (isArray ? `${path}[${key}]` : `${path}.${key}`);
+
+/**
+ * Compares the entries of two maps, by their keys
+ * @param {Map} exp - The expected map
+ * @param {Map} act - The actual map
+ * @param {Object} options - at, the path of the maps, partial, diffs to add the differences to,
+ * and compare for the values
+ * @returns {undefined} nothing
+ */
+const compareMap = (exp, act, { at, partial, diffs, compare }) => {
+  const keyAt = key => `${at}.get(${inspect(key)})`;
+  exp.forEach((value, key) => {
+    if (!act.has(key)) {
+      diffs.push({ path: keyAt(key), kind: "missing", expected: value });
+    } else {
+      compare(value, act.get(key), keyAt(key));
+    }
+  });
+  if (!partial) {
+    act.forEach((value, key) => {
+      if (!exp.has(key)) {
+        diffs.push({ path: keyAt(key), kind: "extra", actual: value });
+      }
+    });
+  }
+};
+
+/**
+ * Compares the members of two sets. A member that's not in the other set is matched
+ * with a deeply equal member.
+ * @param {Set} exp - The expected set
+ * @param {Set} act - The actual set
+ * @param {Object} options - at, the path of the sets, partial, diffs to add the differences to,
+ * and isEqual for the members
+ * @returns {undefined} nothing
+ */
+const compareSet = (exp, act, { at, partial, diffs, isEqual }) => {
+  const unmatched = Array.from(act).filter(x => !exp.has(x));
+  exp.forEach(member => {
+    if (act.has(member)) {
+      return;
+    }
+    const ix = unmatched.findIndex(x => isEqual(member, x));
+    if (ix >= 0) {
+      unmatched.splice(ix, 1);
+    } else {
+      diffs.push({ path: at, kind: "missing", expected: member });
+    }
+  });
+  if (!partial) {
+    unmatched.forEach(x => diffs.push({ path: at, kind: "extra", actual: x }));
+  }
+};
+
+/**
+ * Compares two values deeply
+ * @param {*} expected - The expected value
+ * @param {*} actual - The actual value
+ * @param {Object} [options] - options
+ * @param {boolean} [options.partial] - Only compare the keys of expected objects
+ * @param {string} [options.path] - Path of the values, default "value"
+ * @returns {Array<Object>} The differences, each with path, kind (changed, missing, or extra),
+ * expected, and actual
+ */
+const deepDiff = (expected, actual, { partial = false, path = "value" } = {}) => {
+  const diffs = [];
+  // the pairs of objects being compared, to stop at circular references
+  const seen = [];
+
+  const compare = (exp, act, at) => {
+    if (Object.is(exp, act) || seen.some(x => x[0] === exp && x[1] === act)) {
+      return;
+    }
+
+    if (!isObject(exp) || !isObject(act) || !isSameKind(exp, act, partial)) {
+      diffs.push({ path: at, kind: "changed", expected: exp, actual: act });
+      return;
+    }
+
+    const isArray = Array.isArray(exp);
+    seen.push([exp, act]);
+    if (exp instanceof Map) {
+      compareMap(exp, act, { at, partial, diffs, compare });
+    } else if (exp instanceof Set) {
+      const isEqual = (a, b) => deepDiff(a, b, { partial }).length === 0;
+      compareSet(exp, act, { at, partial, diffs, isEqual });
+    }
+    Object.keys(exp).forEach(key => {
+      if (!hasOwn(act, key)) {
+        diffs.push({ path: keyPath(at, key, isArray), kind: "missing", expected: exp[key] });
+      } else {
+        compare(exp[key], act[key], keyPath(at, key, isArray));
+      }
+    });
+    seen.pop();
+
+    if (!partial || isArray) {
+      Object.keys(act)
+        .filter(key => !hasOwn(exp, key))
+        .forEach(key => {
+          diffs.push({ path: keyPath(at, key, isArray), kind: "extra", actual: act[key] });
+        });
+    }
+  };
+
+  compare(expected, actual, path);
+
+  return diffs;
+};
+
+/**
+ * Formats the differences from deepDiff
+ * @param {Array<Object>} diffs - The differences
+ * @returns {string} One line for each difference
+ */
+const formatDiff = diffs => {
+  return diffs
+    .map(x => {
+      if (x.kind === "missing") {
+        return `  ${x.path}: missing, expected ${inspect(x.expected)}`;
+      } else if (x.kind === "extra") {
+        return `  ${x.path}: unexpected ${inspect(x.actual)}`;
+      }
+      return `  ${x.path}: expected ${inspect(x.expected)} but got ${inspect(x.actual)}`;
+    })
+    .join("\n");
+};
+
+module.exports = {
+  diffLines,
+  deepDiff,
+  formatDiff
+};
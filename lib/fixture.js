@@ -0,0 +1,39 @@
+"use strict";
+
+const { VERIFY_CONTEXT } = require("./symbols");
+
+/**
+ * Creates a check function that sets up a fixture and registers its teardown
+ * @param {Function} setup - Function that takes the previous result and returns the fixture,
+ * or a promise that resolves with it
+ * @param {Function} [teardown] - Function that takes the fixture to tear it down, it's run
+ * when the verification is done, in reverse order with other cleanups
+ * @returns {Function} Check function that passes the fixture to the next check function
+ */
+const useFixture = (setup, teardown) => {
+  /**
+   * Sets up the fixture and registers its teardown with the context
+   * @this {VerifyContext}
+   * @param {*} prevResult - Result from previous check function
+   * @returns {*} The fixture, or a promise that resolves with it
+   */
+  function fixture(prevResult) {
+    const register = value => {
+      if (teardown) {
+        this.cleanup(() => teardown(value));
+      }
+      return value;
+    };
+    const value = setup(prevResult);
+    return value && value.then ? value.then(register) : register(value);
+  }
+
+  fixture[VERIFY_CONTEXT] = false;
+  fixture.verifyKind = "result";
+
+  return fixture;
+};
+
+module.exports = {
+  useFixture
+};
@@ -0,0 +1,45 @@
+// Type definitions for run-verify/http
+
+/// <reference types="node" />
+
+import { IncomingHttpHeaders, IncomingMessage, OutgoingHttpHeaders, ServerResponse } from "http";
+import { CheckFunction } from "./index";
+
+/** The response from httpRequest */
+export interface HttpResponse<T = any> {
+  status: number;
+  headers: IncomingHttpHeaders;
+  body: string;
+  /** The parsed body, if the content-type of the response is JSON */
+  json: T | undefined;
+  url: string;
+}
+
+export interface HttpRequestOptions {
+  method?: string;
+  /** A relative URL is resolved against the URL from startServer, or the previous response */
+  url: string;
+  /** A string or Buffer, or an object sent as JSON */
+  body?: any;
+  headers?: OutgoingHttpHeaders;
+  timeout?: number;
+}
+
+/** Start a server on an ephemeral local port, and pass its URL */
+export function startServer(
+  handler: (req: IncomingMessage, res: ServerResponse) => void,
+  options?: { host?: string }
+): CheckFunction<any, string>;
+
+/** Send a request and pass the response */
+export function httpRequest<T = any>(
+  options: HttpRequestOptions
+): CheckFunction<string | HttpResponse | undefined, HttpResponse<T>>;
+
+/** Verify the status of the response */
+export function expectStatus<T = any>(
+  status: number
+): CheckFunction<HttpResponse<T>, HttpResponse<T>>;
+
+/** Verify the JSON of the response has the keys and values of partial */
+export function expectJson<T = any>(partial: any): CheckFunction<HttpResponse<T>, HttpResponse<T>>;
@@ -0,0 +1,201 @@
+"use strict";
+
+const http = require("http");
+const https = require("https");
+const { useFixture } = require("./fixture");
+const { deepDiff } = require("./diff");
+const { named, checkError } = require("./assertions");
+const { errorMsg } = require("./util");
+const { VERIFY_CONTEXT } = require("./symbols");
+
+// max length of the response body in error messages
+const MAX_BODY = 200;
+
+/**
+ * Creates a check function that starts a server on an ephemeral local port
+ * @param {Function} handler - The request handler, like for http.createServer
+ * @param {Object} [options] - Options
+ * @param {string} [options.host] - Host to listen on, default 127.0.0.1
+ * @returns {Function} Check function that passes the URL of the server to the next
+ * check function, and closes the server when the verification is done
+ */
+const startServer = (handler, { host = "127.0.0.1" } = {}) => {
+  const listen = () => {
+    const server = http.createServer(handler);
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(0, host, () => {
+        server.url = `http://${host}:${server.address().port}`;
+        resolve(server);
+      });
+    });
+  };
+
+  const close = server => {
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      // don't wait for keep-alive connections to time out
+      /* istanbul ignore else */
+      if (server.closeAllConnections) {
+        server.closeAllConnections();
+      }
+    });
+  };
+
+  const fixture = useFixture(listen, close);
+
+  /**
+   * Starts the server and passes its URL
+   * @this {VerifyContext}
+   * @returns {Promise<string>} The URL of the server
+   */
+  function startServerCheck() {
+    return fixture.call(this).then(server => server.url);
+  }
+
+  startServerCheck[VERIFY_CONTEXT] = false;
+
+  return startServerCheck;
+};
+
+/**
+ * Gets the URL to send a request to, resolving a relative URL against the previous result,
+ * which can be the URL from startServer, or the response from httpRequest
+ * @param {string} url - The URL
+ * @param {*} prevResult - Result from previous check function
+ * @returns {URL} The URL
+ */
+const resolveUrl = (url, prevResult) => {
+  const base = prevResult && typeof prevResult === "object" ? prevResult.url : prevResult;
+  return typeof base === "string" ? new URL(url, base) : new URL(url);
+};
+
+/**
+ * Creates a response object from the response of a request
+ * @param {URL} url - The URL of the request
+ * @param {Object} res - The http response
+ * @param {string} body - The body of the response
+ * @returns {Object} The response, with { status, headers, body, json, url }
+ */
+const createResponse = (url, res, body) => {
+  const response = { status: res.statusCode, headers: res.headers, body, json: undefined };
+  response.url = url.href;
+  if (/json/.test(res.headers["content-type"])) {
+    response.json = JSON.parse(body);
+  }
+  return response;
+};
+
+/**
+ * Creates a check function that sends an HTTP request
+ * @param {Object} options - Options
+ * @param {string} [options.method] - The method, default GET
+ * @param {string} options.url - The URL, if it's relative, it's resolved against the
+ * previous result, which can be the URL from startServer, or the response from httpRequest
+ * @param {*} [options.body] - The body, a string or Buffer, or an object sent as JSON
+ * @param {Object} [options.headers] - The headers
+ * @param {number} [options.timeout] - Fail if there's no response in time
+ * @returns {Function} Check function that passes the response
+ * { status, headers, body, json, url } to the next check function
+ */
+const httpRequest = ({ method = "GET", url, body, headers = {}, timeout }) => {
+  const errorFromCall = new Error();
+  /* istanbul ignore next */
+  if (Error.captureStackTrace) {
+    /* istanbul ignore next */
+    Error.captureStackTrace(errorFromCall, httpRequest);
+  }
+
+  const isJson = body !== undefined && typeof body !== "string" && !Buffer.isBuffer(body);
+  const data = isJson ? JSON.stringify(body) : body;
+  const reqHeaders = Object.assign(
+    isJson ? { "content-type": "application/json" } : {},
+    data === undefined ? {} : { "content-length": Buffer.byteLength(data) },
+    headers
+  );
+
+  return named("httpRequest", prevResult => {
+    const target = resolveUrl(url, prevResult);
+    const request = target.protocol === "https:" ? https.request : http.request;
+
+    return new Promise((resolve, reject) => {
+      // no agent, so no keep-alive connections are left to servers that are closed
+      const req = request(target, { method, headers: reqHeaders, agent: false }, res => {
+        const chunks = [];
+        res.on("data", chunk => chunks.push(chunk));
+        res.on("error", reject);
+        res.on("end", () => {
+          try {
+            resolve(createResponse(target, res, Buffer.concat(chunks).toString()));
+          } catch (err) {
+            reject(errorMsg(errorFromCall, `httpRequest: invalid JSON response - ${err.message}`));
+          }
+        });
+      });
+
+      req.on("error", reject);
+      if (timeout > 0) {
+        req.setTimeout(timeout, () => {
+          req.destroy(errorMsg(errorFromCall, `httpRequest: timeout after ${timeout}ms`));
+        });
+      }
+      req.end(data);
+    });
+  });
+};
+
+const bodyOf = response => {
+  const body = String(response.body);
+  return body.length > MAX_BODY ? `${body.slice(0, MAX_BODY)}...` : body;
+};
+
+/**
+ * Creates a check function that verifies the status of the response from httpRequest
+ * @param {number} status - The expected status
+ * @returns {Function} Check function that passes the response to the next check function
+ */
+const expectStatus = status => {
+  return named("expectStatus", response => {
+    if (response.status !== status) {
+      throw checkError({
+        name: "expectStatus",
+        message: `expected status ${status} but got ${response.status} - body: ${bodyOf(response)}`,
+        diff: [
+          { path: "response.status", kind: "changed", expected: status, actual: response.status }
+        ],
+        expected: status,
+        actual: response.status
+      });
+    }
+    return response;
+  });
+};
+
+/**
+ * Creates a check function that verifies the JSON of the response from httpRequest has the
+ * keys and values of partial. Keys that are not in partial are ignored, at any depth.
+ * @param {Object} partial - The expected keys and values
+ * @returns {Function} Check function that passes the response to the next check function
+ */
+const expectJson = partial => {
+  return named("expectJson", response => {
+    const diff = deepDiff(partial, response.json, { partial: true, path: "response.json" });
+    if (diff.length > 0) {
+      throw checkError({
+        name: "expectJson",
+        message: "expected JSON to match",
+        diff,
+        expected: partial,
+        actual: response.json
+      });
+    }
+    return response;
+  });
+};
+
+module.exports = {
+  startServer,
+  httpRequest,
+  expectStatus,
+  expectJson
+};
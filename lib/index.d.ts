@@ -0,0 +1,643 @@
+// Type definitions for run-verify
+
+/// <reference types="node" />
+
+import { EventEmitter } from "events";
+import { ChildProcess } from "child_process";
+
+declare const checkTypes: unique symbol;
+declare const freeCheck: unique symbol;
+
+/** Callback to continue to the next check function */
+export type VerifyCallback<T = any> = (err?: Error | null, result?: T) => void;
+
+/** Callback that's called with the error or the final result of runVerify */
+export type VerifyDone<T = any> = (err: Error | null | undefined, result?: T) => void;
+
+/**
+ * A function that performs a verification check. It gets the result of the previous check
+ * function, and passes its result, or the resolved value of its promise, to the next one.
+ * For the callback form, take (result, next), or use withCallback.
+ */
+export type CheckFunction<In = any, Out = any> = {
+  // method syntax, so a check function that takes fewer or wider params can be passed
+  bivarianceHack(result: In, next: VerifyCallback<Out>): Out | PromiseLike<Out> | void;
+}["bivarianceHack"];
+
+/**
+ * The kind a check function that takes one param can declare with its verifyKind property,
+ * instead of the param name
+ */
+export type VerifyKind = "callback" | "result";
+
+/** A check function wrapped by wrapCheck, with the decorators */
+export interface WrappedCheck<In = any, Out = any> {
+  readonly [checkTypes]?: (result: In) => Out;
+  /** Expect the check function to fail, and pass the error to the next one */
+  readonly expectError: WrappedCheck<In, Error>;
+  /** Call the check function with a next callback */
+  readonly withCallback: WrappedCheck<In, Out>;
+  /** Call the check function with the result of the previous one */
+  readonly withResult: WrappedCheck<In, Out>;
+  /** Call the check function only when the verification fails */
+  readonly onFailVerify: WrappedCheck<In, Out>;
+  expectErrorHas(msg: string): WrappedCheck<In, Error>;
+  expectErrorToBe(msg: string): WrappedCheck<In, Error>;
+  expectErrorMatches(regex: RegExp): WrappedCheck<In, Error>;
+  expectErrorInstanceOf<E extends Error>(
+    ErrorClass: new (...args: any[]) => E
+  ): WrappedCheck<In, E>;
+  expectErrorCode(code: string): WrappedCheck<In, Error & { code: string }>;
+  expectErrorWhere(predicate: (err: Error) => boolean): WrappedCheck<In, Error>;
+  /** Fail the verification if it doesn't complete in time */
+  runTimeout(delay: number): WrappedCheck<In, Out>;
+  /** Fail if the check function doesn't complete in time */
+  stepTimeout(delay: number): WrappedCheck<In, Out>;
+  /** Re-run the check function if it fails */
+  retry(options?: RetryOptions): WrappedCheck<In, Out>;
+  /** Give the check function a label for error messages and the verify trace */
+  name(label: string): WrappedCheck<In, Out>;
+}
+
+/** A group from runParallel */
+export interface ParallelCheck<In = any, Out extends any[] = any[]> extends WrappedCheck<In, Out> {
+  /** Wait for all check functions, and pass their outcomes like Promise.allSettled */
+  readonly settled: WrappedCheck<In, { [K in keyof Out]: PromiseSettledResult<Out[K]> }>;
+}
+
+/**
+ * An entry that doesn't run as a check function, like runFinally or advance.
+ * The next check function gets a result of any type.
+ */
+export interface FreeCheck {
+  readonly [freeCheck]: true;
+}
+
+/** An entry of the check functions of a verification */
+export type Step<In = any, Out = any> =
+  CheckFunction<In, Out> | WrappedCheck<In, Out> | FreeCheck | DeferObject;
+
+/**
+ * The check functions of a chain that's longer than the typed overloads. The result types
+ * of its check functions are not checked.
+ */
+export type LongChain = [Step, Step, Step, Step, Step, Step, Step, Step, Step, ...Step[]];
+
+export interface RetryOptions {
+  /** Number of times to try, default 3 */
+  times?: number;
+  /** Time in milliseconds between attempts, default 0 */
+  interval?: number;
+  /** Factor to multiply the interval with after each attempt, default 1 */
+  backoff?: number;
+  /** Time in milliseconds to keep trying */
+  timeout?: number;
+}
+
+/** An entry of the verifyTrace attached to a verification error */
+export interface VerifyStep {
+  index: number;
+  label: string;
+  kind: "sync" | "async" | "callback";
+  time: number;
+  /** undefined if the verification failed from elsewhere while it was running */
+  passed?: boolean;
+}
+
+/** A problem found by checking the check functions before running them, in error.problems */
+export interface VerifyProblem {
+  index: number;
+  message: string;
+}
+
+/** A clock with setTimeout and clearTimeout, like a fake clock from @sinonjs/fake-timers */
+export interface VerifyClock {
+  setTimeout(fn: (...args: any[]) => void, ms: number): any;
+  clearTimeout(timer: any): void;
+  now?: number;
+  tickAsync?(ms: number): Promise<any>;
+  tick?(ms: number): any;
+}
+
+/** Plugin with hooks that are called by all verifications */
+export interface VerifyPlugin {
+  beforeStep?(info: { index: number; label: string; kind: string }): any;
+  afterStep?(info: VerifyStep & { result?: any; error?: Error }): any;
+  onFail?(info: { error: Error; index: number; label: string; trace: VerifyStep[] }): any;
+  onDone?(info: { error?: Error; result?: any; trace: VerifyStep[]; time: number }): any;
+}
+
+export interface VerifyConfig {
+  clock?: VerifyClock;
+  plugins?: VerifyPlugin[];
+  /** Report all failures of a verification in an AggregateError */
+  aggregateErrors?: boolean;
+  /** Keep the errors of check functions, and create new errors with a cause */
+  errorCause?: boolean;
+  /** Require check functions that take one param to declare their kind */
+  strict?: boolean;
+}
+
+/** Options that can be passed as the first argument of a verification */
+export interface VerifyOptions extends VerifyConfig {
+  /** Signal to abort the verification */
+  signal?: AbortSignal;
+}
+
+/** The context shared by the check functions of a verification */
+export interface VerifyContext {
+  signal?: AbortSignal;
+  /** Result of each check function by its index */
+  results: any[];
+  /** Result of each named check function by its label */
+  labeled: Record<string, any>;
+  /** Register a function to run when the verification is done, returns the context */
+  cleanup(fn: (context: VerifyContext) => any): VerifyContext;
+}
+
+/** A check function that gets the context of the verification before result and next */
+export type ContextCheckFunction<In = any, Out = any> = {
+  bivarianceHack(
+    context: VerifyContext,
+    result: In,
+    next: VerifyCallback<Out>
+  ): Out | PromiseLike<Out> | void;
+}["bivarianceHack"];
+
+/** The check function from defer.wait, which passes the resolved value */
+export type DeferWait<T = any> = CheckFunction<any, T>;
+
+export interface DeferObject<T = any> {
+  timeout?: number;
+  event: EventEmitter;
+  resolve(result?: T): void;
+  reject(err: Error): void;
+  /** Fail the verification, even if the defer already resolved */
+  fail(err: Error): void;
+  onResolve(cb: (result: T) => any): DeferObject<T>;
+  onReject(cb: (err: Error) => any): DeferObject<T>;
+  pending(): boolean;
+  clear(): () => void;
+  wait(timeout?: number, again?: boolean): DeferWait<T>;
+  waitAgain(timeout?: number): DeferWait<T>;
+}
+
+export interface SpyFunction<Args extends any[] = any[]> {
+  (...args: Args): void;
+  /** The arguments of each call */
+  calls: Args[];
+  /** Wait for the calls and pass them to the next check function, unlike the spy itself */
+  wait(timeout?: number): DeferWait<Args[]>;
+}
+
+/** A process from runProcess in background */
+export interface VerifyProcess {
+  child: ChildProcess;
+  stdout: string;
+  stderr: string;
+  code: number | null;
+  signal: NodeJS.Signals | null;
+  exited: boolean;
+  error?: Error;
+  /** The match from expectOutput */
+  match?: RegExpMatchArray;
+  wait(): Promise<ProcessResult>;
+}
+
+export interface ProcessResult {
+  stdout: string;
+  stderr: string;
+  code: number | null;
+  signal: NodeJS.Signals | null;
+}
+
+export interface ProcessOptions {
+  expectExitCode?: number;
+  timeout?: number;
+  env?: Record<string, string>;
+  cwd?: string;
+  killTimeout?: number;
+}
+
+export function runVerify<R1 = any>(s1: Step<unknown, R1>, done: VerifyDone<R1>): void;
+export function runVerify<R1 = any, R2 = any>(
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  done: VerifyDone<R2>
+): void;
+export function runVerify<R1 = any, R2 = any, R3 = any>(
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  done: VerifyDone<R3>
+): void;
+export function runVerify<R1 = any, R2 = any, R3 = any, R4 = any>(
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  done: VerifyDone<R4>
+): void;
+export function runVerify<R1 = any, R2 = any, R3 = any, R4 = any, R5 = any>(
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>,
+  done: VerifyDone<R5>
+): void;
+export function runVerify<R1 = any, R2 = any, R3 = any, R4 = any, R5 = any, R6 = any>(
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>,
+  s6: Step<R5, R6>,
+  done: VerifyDone<R6>
+): void;
+export function runVerify<R1 = any, R2 = any, R3 = any, R4 = any, R5 = any, R6 = any, R7 = any>(
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>,
+  s6: Step<R5, R6>,
+  s7: Step<R6, R7>,
+  done: VerifyDone<R7>
+): void;
+export function runVerify<
+  R1 = any,
+  R2 = any,
+  R3 = any,
+  R4 = any,
+  R5 = any,
+  R6 = any,
+  R7 = any,
+  R8 = any
+>(
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>,
+  s6: Step<R5, R6>,
+  s7: Step<R6, R7>,
+  s8: Step<R7, R8>,
+  done: VerifyDone<R8>
+): void;
+export function runVerify<R1 = any>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  done: VerifyDone<R1>
+): void;
+export function runVerify<R1 = any, R2 = any>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  done: VerifyDone<R2>
+): void;
+export function runVerify<R1 = any, R2 = any, R3 = any>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  done: VerifyDone<R3>
+): void;
+export function runVerify<R1 = any, R2 = any, R3 = any, R4 = any>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  done: VerifyDone<R4>
+): void;
+export function runVerify<R1 = any, R2 = any, R3 = any, R4 = any, R5 = any>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>,
+  done: VerifyDone<R5>
+): void;
+export function runVerify<R1 = any, R2 = any, R3 = any, R4 = any, R5 = any, R6 = any>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>,
+  s6: Step<R5, R6>,
+  done: VerifyDone<R6>
+): void;
+export function runVerify<R1 = any, R2 = any, R3 = any, R4 = any, R5 = any, R6 = any, R7 = any>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>,
+  s6: Step<R5, R6>,
+  s7: Step<R6, R7>,
+  done: VerifyDone<R7>
+): void;
+export function runVerify<
+  R1 = any,
+  R2 = any,
+  R3 = any,
+  R4 = any,
+  R5 = any,
+  R6 = any,
+  R7 = any,
+  R8 = any
+>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>,
+  s6: Step<R5, R6>,
+  s7: Step<R6, R7>,
+  s8: Step<R7, R8>,
+  done: VerifyDone<R8>
+): void;
+export function runVerify(
+  ...args: [...LongChain, VerifyDone] | [VerifyOptions, ...LongChain, VerifyDone]
+): void;
+
+export function asyncVerify<R1 = any>(s1: Step<unknown, R1>): Promise<R1>;
+export function asyncVerify<R1 = any, R2 = any>(
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>
+): Promise<R2>;
+export function asyncVerify<R1 = any, R2 = any, R3 = any>(
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>
+): Promise<R3>;
+export function asyncVerify<R1 = any, R2 = any, R3 = any, R4 = any>(
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>
+): Promise<R4>;
+export function asyncVerify<R1 = any, R2 = any, R3 = any, R4 = any, R5 = any>(
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>
+): Promise<R5>;
+export function asyncVerify<R1 = any, R2 = any, R3 = any, R4 = any, R5 = any, R6 = any>(
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>,
+  s6: Step<R5, R6>
+): Promise<R6>;
+export function asyncVerify<R1 = any, R2 = any, R3 = any, R4 = any, R5 = any, R6 = any, R7 = any>(
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>,
+  s6: Step<R5, R6>,
+  s7: Step<R6, R7>
+): Promise<R7>;
+export function asyncVerify<
+  R1 = any,
+  R2 = any,
+  R3 = any,
+  R4 = any,
+  R5 = any,
+  R6 = any,
+  R7 = any,
+  R8 = any
+>(
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>,
+  s6: Step<R5, R6>,
+  s7: Step<R6, R7>,
+  s8: Step<R7, R8>
+): Promise<R8>;
+export function asyncVerify<R1 = any>(options: VerifyOptions, s1: Step<unknown, R1>): Promise<R1>;
+export function asyncVerify<R1 = any, R2 = any>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>
+): Promise<R2>;
+export function asyncVerify<R1 = any, R2 = any, R3 = any>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>
+): Promise<R3>;
+export function asyncVerify<R1 = any, R2 = any, R3 = any, R4 = any>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>
+): Promise<R4>;
+export function asyncVerify<R1 = any, R2 = any, R3 = any, R4 = any, R5 = any>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>
+): Promise<R5>;
+export function asyncVerify<R1 = any, R2 = any, R3 = any, R4 = any, R5 = any, R6 = any>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>,
+  s6: Step<R5, R6>
+): Promise<R6>;
+export function asyncVerify<R1 = any, R2 = any, R3 = any, R4 = any, R5 = any, R6 = any, R7 = any>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>,
+  s6: Step<R5, R6>,
+  s7: Step<R6, R7>
+): Promise<R7>;
+export function asyncVerify<
+  R1 = any,
+  R2 = any,
+  R3 = any,
+  R4 = any,
+  R5 = any,
+  R6 = any,
+  R7 = any,
+  R8 = any
+>(
+  options: VerifyOptions,
+  s1: Step<unknown, R1>,
+  s2: Step<R1, R2>,
+  s3: Step<R2, R3>,
+  s4: Step<R3, R4>,
+  s5: Step<R4, R5>,
+  s6: Step<R5, R6>,
+  s7: Step<R6, R7>,
+  s8: Step<R7, R8>
+): Promise<R8>;
+export function asyncVerify(...args: LongChain | [VerifyOptions, ...LongChain]): Promise<any>;
+
+export namespace runVerify {
+  /** Set the default options for all verifications */
+  function configure(options: VerifyConfig): VerifyConfig;
+  /** Register a plugin, returns a function to remove it */
+  function use(plugin: VerifyPlugin): () => void;
+}
+
+export function wrapVerify(...args: Array<Step<any, any> | VerifyDone>): (value: any) => void;
+export function wrapAsyncVerify(...args: Array<Step<any, any>>): (value: any) => Promise<any>;
+
+export function verifyWithContext(
+  ...args: Array<VerifyOptions | ContextCheckFunction | WrappedCheck | FreeCheck | DeferObject>
+): Promise<any>;
+
+/** Run a verification from a generator function that yields check functions and gets the results */
+export function genVerify<T = any>(
+  genFn: (this: VerifyContext, context: VerifyContext) => Generator<any, T, any>
+): Promise<T>;
+export function genVerify<T = any>(
+  options: VerifyOptions,
+  genFn: (this: VerifyContext, context: VerifyContext) => Generator<any, T, any>
+): Promise<T>;
+
+export function wrapCheck<In = any, Out = any>(fn: CheckFunction<In, Out>): WrappedCheck<In, Out>;
+
+export function expectError<In = any>(fn: CheckFunction<In, any>): WrappedCheck<In, Error>;
+export function expectErrorHas<In = any>(
+  fn: CheckFunction<In, any>,
+  msg: string
+): WrappedCheck<In, Error>;
+export function expectErrorToBe<In = any>(
+  fn: CheckFunction<In, any>,
+  msg: string
+): WrappedCheck<In, Error>;
+export function expectErrorMatches<In = any>(
+  fn: CheckFunction<In, any>,
+  regex: RegExp
+): WrappedCheck<In, Error>;
+export function expectErrorInstanceOf<E extends Error, In = any>(
+  fn: CheckFunction<In, any>,
+  ErrorClass: new (...args: any[]) => E
+): WrappedCheck<In, E>;
+export function expectErrorCode<In = any>(
+  fn: CheckFunction<In, any>,
+  code: string
+): WrappedCheck<In, Error & { code: string }>;
+export function expectErrorWhere<In = any>(
+  fn: CheckFunction<In, any>,
+  predicate: (err: Error) => boolean
+): WrappedCheck<In, Error>;
+
+export function onFailVerify(fn: (err: Error) => any): WrappedCheck<any, any>;
+export function withCallback<In = any, Out = any>(
+  fn: CheckFunction<In, Out>
+): WrappedCheck<In, Out>;
+export function withResult<In = any, Out = any>(fn: CheckFunction<In, Out>): WrappedCheck<In, Out>;
+export function step<In = any, Out = any>(
+  label: string,
+  fn: CheckFunction<In, Out>
+): WrappedCheck<In, Out>;
+export function runTimeout(delay: number, fn?: CheckFunction): WrappedCheck<any, any>;
+export function withTimeout<In = any, Out = any>(
+  delay: number,
+  fn: CheckFunction<In, Out>
+): WrappedCheck<In, Out>;
+export function eventually<In = any, Out = any>(
+  fn: CheckFunction<In, Out>,
+  options?: { timeout?: number; interval?: number }
+): WrappedCheck<In, Out>;
+
+export function runParallel<In = any, Outs extends any[] = any[]>(
+  ...checkFuncs: { [K in keyof Outs]: Step<In, Outs[K]> }
+): ParallelCheck<In, Outs>;
+
+export function advance(ms: number): FreeCheck;
+export function runFinally(fn: (context: VerifyContext) => any): FreeCheck;
+export function useFixture<In = any, T = any>(
+  setup: (result: In) => T | PromiseLike<T>,
+  teardown?: (fixture: T) => any
+): CheckFunction<In, T>;
+
+export function runDefer<T = any>(timeout?: number): DeferObject<T>;
+export function expectEvents(
+  emitter: EventEmitter,
+  events: string[],
+  options?: { timeout?: number; strict?: boolean; watch?: string[] }
+): DeferWait<any[]>;
+export function runNever(emitter: EventEmitter, eventName: string, ms: number): DeferObject;
+export function runSpy<Args extends any[] = any[]>(options?: {
+  times?: number;
+  timeout?: number;
+}): SpyFunction<Args>;
+
+export function matchSnapshot<T = any>(
+  name?: string,
+  options?: { dir?: string }
+): CheckFunction<T, T>;
+
+export function verifyEqual<T>(expected: T): CheckFunction<T, T>;
+export function verifyDeepEqual<T>(expected: T): CheckFunction<T, T>;
+export function verifyMatch<T = any>(partial: any): CheckFunction<T, T>;
+export function verifyType<T = any>(
+  type:
+    | "string"
+    | "number"
+    | "bigint"
+    | "boolean"
+    | "symbol"
+    | "undefined"
+    | "object"
+    | "function"
+    | "array"
+    | "null"
+): CheckFunction<T, T>;
+export function verifyLength<T = any>(length: number): CheckFunction<T, T>;
+
+export function readStream(
+  stream: NodeJS.ReadableStream,
+  options: { encoding: BufferEncoding; maxBytes?: number; timeout?: number }
+): DeferWait<string>;
+export function readStream(
+  stream: NodeJS.ReadableStream,
+  options?: { maxBytes?: number; timeout?: number }
+): DeferWait<Buffer>;
+export function expectStreamEnds<S extends NodeJS.ReadableStream | NodeJS.WritableStream>(
+  stream: S,
+  options?: { timeout?: number }
+): DeferWait<S>;
+export function expectLines(
+  stream: NodeJS.ReadableStream,
+  lines: Array<string | RegExp>,
+  options?: { encoding?: BufferEncoding; timeout?: number }
+): DeferWait<string[]>;
+
+export function runProcess(
+  cmd: string,
+  args?: string[],
+  options?: ProcessOptions & { background?: false }
+): CheckFunction<any, ProcessResult>;
+export function runProcess(
+  cmd: string,
+  args: string[],
+  options: ProcessOptions & { background: true }
+): CheckFunction<any, VerifyProcess>;
+export function expectOutput(
+  regex: RegExp,
+  options?: { stream?: "stdout" | "stderr"; timeout?: number }
+): CheckFunction<VerifyProcess, VerifyProcess & { match: RegExpMatchArray }>;
@@ -6,6 +6,25 @@
  * @returns {Promise<*>|*} - May return a promise or value directly
  */
 
+/**
+ * @typedef {Object} VerifyStep
+ * @description An entry of the verifyTrace attached to a verification error
+ * @property {number} index - Index of the check function
+ * @property {string} label - Label from step/name, or the function's name
+ * @property {string} kind - How the check function ran: sync, async, or callback
+ * @property {number} time - Time the check function took in milliseconds
+ * @property {boolean} passed - Whether the check function passed
+ */
+
+/**
+ * @typedef {Object} VerifyContext
+ * @description The context shared by the check functions of a verification
+ * @property {AbortSignal} [signal] - The signal from the options of the verification
+ * @property {Array} results - Result of each check function by its index
+ * @property {Object} labeled - Result of each named check function by its label
+ * @property {Function} cleanup - Registers a function to run when the verification is done
+ */
+
 /**
  * @typedef {Object} DeferObject
  * @property {number} timeout - Timeout duration in milliseconds
@@ -13,6 +32,7 @@
  * @property {Object} handlers - Resolve and reject handlers
  * @property {Function} resolve - Resolves the deferred operation
  * @property {Function} reject - Rejects the deferred operation
+ * @property {Function} fail - Fails the verification, even if the defer already resolved
  * @property {Function} onResolve - Adds a resolve handler
  * @property {Function} onReject - Adds a reject handler
  * @property {Function} pending - Checks if defer is still pending
@@ -60,11 +80,32 @@
 //
 
 const assert = require("assert");
+const util = require("util");
 const { EventEmitter } = require("events");
-
-const { WRAPPED_FN, IS_FINALLY, DEFER_EVENT, DEFER_WAIT, DEFER_OBJ } = require("./symbols");
-
-function detectWantCallbackByParamName(checkFunc, index, done) {
+const { StringDecoder } = require("string_decoder");
+
+const {
+  WRAPPED_FN,
+  IS_FINALLY,
+  DEFER_EVENT,
+  DEFER_WAIT,
+  DEFER_OBJ,
+  DEFER_DETAIL,
+  VERIFY_CONTEXT
+} = require("./symbols");
+const { isVerifyOptions, createAggregateError, errorMsg, unrefTimer } = require("./util");
+const { useFixture } = require("./fixture");
+const { runProcess, expectOutput } = require("./process");
+const { matchSnapshot } = require("./snapshot");
+const {
+  verifyEqual,
+  verifyDeepEqual,
+  verifyMatch,
+  verifyType,
+  verifyLength
+} = require("./assertions");
+
+function detectWantCallbackByParamName(checkFunc, { index, paramIndex }, done) {
   // takes single param, ambiguous function type
   // function could be asking for next cb
   // or want the previous result
@@ -89,7 +130,7 @@ function detectWantCallbackByParamName(checkFunc, index, done) {
     params = match[1];
   }
 
-  params = params.trim().toLowerCase();
+  params = params.split(",")[paramIndex].trim().toLowerCase();
 
   return (
     params.startsWith("next") ||
@@ -99,72 +140,436 @@ function detectWantCallbackByParamName(checkFunc, index, done) {
   );
 }
 
-const errorMsg = (error, message) => {
-  error.message = message;
-  return error;
+/**
+ * Gets the kind a check function declared, with withCallback, withResult, or its verifyKind
+ * @param {Function} checkFunc - The check function
+ * @param {Object} wrap - The wrap of the check function from wrapCheck, or an empty object
+ * @returns {string|undefined} "callback" or "result", or undefined if it didn't declare one
+ */
+const declaredKind = (checkFunc, wrap) => {
+  if (wrap._withCallback === true) {
+    return "callback";
+  } else if (wrap._withResult === true) {
+    return "result";
+  }
+  return ["callback", "result"].indexOf(checkFunc.verifyKind) >= 0
+    ? checkFunc.verifyKind
+    : undefined;
+};
+
+// decorators that can't be used on the same check function, by the props they set on the wrap
+const CONFLICTS = [
+  ["_onFailVerify", "_expectError"],
+  ["_onFailVerify", "_timeout"],
+  ["_onFailVerify", "_retry"],
+  ["_expectError", "_timeout"],
+  ["_withCallback", "_withResult"]
+];
+
+const DECORATOR_NAMES = {
+  _onFailVerify: "onFailVerify",
+  _expectError: "expectError",
+  _timeout: "runTimeout",
+  _retry: "retry",
+  _withCallback: "withCallback",
+  _withResult: "withResult"
+};
+
+/**
+ * Checks an entry of the check functions of a verification before it runs
+ * @param {*} entry - The entry
+ * @param {Object} options - options
+ * @param {boolean} options.strict - Require check functions that take one param to declare
+ * if it's the result or the next callback, which strict mode doesn't detect by the param name
+ * @param {boolean} options.contextMode - Whether check functions get the context as first param
+ * @returns {string[]} The problems of the entry
+ */
+const checkEntry = (entry, { strict, contextMode }) => {
+  const wrap = entry && entry.hasOwnProperty(WRAPPED_FN) ? entry : {};
+  const fn = wrap === entry ? entry[WRAPPED_FN] : entry;
+
+  if (wrap._advance !== undefined) {
+    return [];
+  } else if (!fn || (typeof fn !== "function" && !fn[DEFER_EVENT])) {
+    return [`is not a function: type ${typeof fn}`];
+  }
+
+  const problems = CONFLICTS.filter(([a, b]) => wrap[a] && wrap[b]).map(
+    ([a, b]) => `has conflicting decorators ${DECORATOR_NAMES[a]} and ${DECORATOR_NAMES[b]}`
+  );
+
+  if (fn.verifyKind !== undefined && !declaredKind(fn, {})) {
+    problems.push(`has invalid verifyKind '${fn.verifyKind}', use "callback" or "result"`);
+  }
+
+  if (strict && typeof fn === "function" && !wrap._onFailVerify && !wrap._timeout) {
+    const withContext = contextMode && fn[VERIFY_CONTEXT] !== false;
+    if (
+      fn.length - (withContext ? 1 : 0) === 1 &&
+      fn.constructor.name !== "AsyncFunction" &&
+      !declaredKind(fn, wrap)
+    ) {
+      problems.push(
+        `takes one param without declaring if it's the result or the next callback, \
+use withResult, withCallback, or verifyKind in strict mode`
+      );
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Checks the check functions of a verification before it runs any of them
+ * @param {Array} checkFuncs - The check functions, without the done callback
+ * @param {Object} options - options, see checkEntry
+ * @returns {Object[]} The problems, each with the index of the check function and a message
+ */
+const validateCheckFuncs = (checkFuncs, options) => {
+  const problems = [];
+  let timeouts = 0;
+
+  checkFuncs.forEach((entry, index) => {
+    const wrap = entry && entry.hasOwnProperty(WRAPPED_FN) ? entry : {};
+    const name = wrap._name || (typeof entry === "function" && entry.name);
+    checkEntry(entry, options).forEach(message => {
+      problems.push({ index, message: name ? `(${name}) ${message}` : message });
+    });
+    if (wrap._timeout && ++timeouts > 1 && options.strict) {
+      problems.push({ index, message: "is another runTimeout, strict mode allows only one" });
+    }
+  });
+
+  return problems;
+};
+
+const systemClock = {
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: timer => clearTimeout(timer)
 };
 
-function _runVerify(args, errorFromCall) {
-  const finallyCbs = args.filter(x => x[IS_FINALLY] === true);
-  const checkFuncs = args.filter(x => x[IS_FINALLY] !== true);
+const config = {
+  clock: undefined,
+  plugins: [],
+  aggregateErrors: false,
+  errorCause: false,
+  strict: false
+};
+
+const getClock = clock => clock || config.clock || systemClock;
+
+// fake clocks like @sinonjs/fake-timers keep their time in a now property
+const clockNow = clock => (typeof clock.now === "number" ? clock.now : Date.now());
+
+const describeError = err => {
+  if (err instanceof Error) {
+    const code = err.code ? ` [${err.code}]` : "";
+    return `${err.constructor.name}${code}: '${err.message}'`;
+  }
+  return util.inspect(err);
+};
+
+function _runVerify(verifyArgs, errorFromCall, initialResult) {
+  let args = verifyArgs;
+  let options = {};
+
+  if (isVerifyOptions(args[0])) {
+    options = args[0];
+    args = args.slice(1);
+  }
+
+  const clock = getClock(options.clock);
+  const signal = options.signal;
+  const plugins = config.plugins.concat(options.plugins || []);
+  const aggregate =
+    options.aggregateErrors !== undefined ? options.aggregateErrors : config.aggregateErrors;
+  const causeMode = options.errorCause !== undefined ? options.errorCause : config.errorCause;
+  const strict = options.strict !== undefined ? options.strict : config.strict;
+  const finallyCbs = args.filter(x => x && x[IS_FINALLY] === true);
+  const checkFuncs = args.filter(x => !x || x[IS_FINALLY] !== true);
 
   const lastIx = checkFuncs.length - 1;
   const done = checkFuncs[lastIx];
   let index = 0;
   let timeoutTimer;
+  let stepTimer;
+  let retryTimer;
+  let retryWindowTimer;
   let failError;
   const defers = [];
+  const trace = [];
+  let stepWrap;
+  let stepStart;
   let completed;
+  let onAbort;
+  const verifyStart = clockNow(clock);
+  const cleanups = [];
+  // a verification in runParallel shares the context of its parent
+  const parentContext = typeof options.context === "object" ? options.context : undefined;
+  // passed to check functions as this, and as the first param in context mode
+  const context = parentContext || {
+    signal,
+    results: [],
+    labeled: {},
+    cleanup(fn) {
+      if (completed) {
+        // too late for the verification, like a fixture that's set up after a timeout
+        Promise.resolve()
+          .then(() => fn(context))
+          .catch(() => undefined);
+      } else {
+        cleanups.push(fn);
+      }
+      return context;
+    },
+    [VERIFY_CONTEXT]: options
+  };
 
-  if (checkFuncs.length < 2) {
-    throw errorMsg(errorFromCall, "runVerify - must pass done function");
+  // the stack frames of the call site, without the message
+  const callSite = () => errorFromCall.stack.replace(/^[^\n]*\n/, "");
+
+  // the error for a failure that runVerify detected, like a timeout
+  const verifyError = (message, cause) => {
+    if (!causeMode) {
+      return errorMsg(errorFromCall, message);
+    }
+    const err = new Error(message);
+    err.stack = `Error: ${message}\n${callSite()}`;
+    if (cause !== undefined) {
+      err.cause = cause;
+    }
+    return err;
+  };
+
+  if (checkFuncs.length < 2 || typeof done !== "function") {
+    throw verifyError("runVerify - must pass done function");
   }
 
-  const invokeFinally = (err, result) => {
+  // call a hook of all plugins, and return the promises they returned
+  const callHooks = (name, info) => {
+    const results = [];
+    plugins.forEach(plugin => {
+      if (plugin[name]) {
+        try {
+          results.push(plugin[name](info));
+        } catch (err) {
+          results.push(Promise.reject(err));
+        }
+      }
+    });
+    return results.filter(x => x && x.then);
+  };
+
+  const endStep = passed => {
+    const step = trace[trace.length - 1];
+    if (step && step.passed === undefined) {
+      step.time = clockNow(clock) - stepStart;
+      step.passed = passed;
+      return step;
+    }
+    return undefined;
+  };
+
+  // run the cleanups in reverse order, one after another, and resolve with their errors
+  const runCleanups = () => {
+    const errors = [];
+    return cleanups
+      .reverse()
+      .reduce(
+        (p, fn) =>
+          p
+            .then(() => fn(context))
+            .catch(err => {
+              errors.push(err);
+            }),
+        Promise.resolve()
+      )
+      .then(() => errors);
+  };
+
+  const invokeFinally = (err, result, source) => {
     assert(!completed, "bug: invokeFinally already called");
     completed = true;
-    failError = err && errorMsg(errorFromCall, err.message);
+
+    if (signal) {
+      signal.removeEventListener("abort", onAbort);
+    }
+
+    // let the defers stop watching their emitters, even the ones the verification didn't reach
+    checkFuncs.forEach(x => x && x[DEFER_EVENT] && x[DEFER_EVENT].emit("done"));
+
+    // only an error from the step itself fails it, with a source it was stopped by another failure
+    const running = err ? endStep(source ? undefined : false) : undefined;
+    const step = running && running.passed === false ? running : undefined;
+
+    if (err) {
+      if (typeof err === "object") {
+        if (causeMode) {
+          err.verifyCallSite = callSite();
+        } else if (
+          step &&
+          stepWrap._name &&
+          typeof err.message === "string" &&
+          err.message.indexOf(`step '${step.label}'`) < 0
+        ) {
+          err.message = `runVerify step '${step.label}' (check function number ${step.index}) \
+failed: ${err.message}`;
+        }
+        err.verifyTrace = trace;
+      }
+    }
+
+    failError = causeMode ? err : err && errorMsg(errorFromCall, err.message);
 
     const onFail = checkFuncs[index];
     let error = err;
+    // every failure with where it came from, the check error first
+    const failures = [];
+    const addFailure = (from, err2) => {
+      failures.push({ source: from, error: err2 });
+      if (!error) error = err2;
+    };
+
+    if (err) {
+      addFailure(source || (step ? `step '${step.label}'` : "runVerify"), err);
+      if (aggregate) {
+        // other defers that failed, like free defers that were rejected before they're reached
+        checkFuncs
+          .map(x => x && x[DEFER_EVENT] && (x[DEFER_OBJ] || x))
+          .filter(x => x && x.failed && x.error && x.error !== err)
+          .forEach(x => addFailure("defer", x.error));
+      }
+    }
 
     if (err && onFail && onFail[WRAPPED_FN] && onFail._onFailVerify) {
       try {
         onFail[WRAPPED_FN](err, result);
       } catch (err2) {
-        error = err2;
+        addFailure("onFailVerify", err2);
+        if (!aggregate) error = err2;
       }
     }
 
-    let returnFinallyCbs = [];
+    const pending = [];
+    const track = (from, promises) => {
+      promises.forEach(x => x && pending.push({ source: from, promise: x }));
+    };
+
+    if (step) {
+      track("afterStep hook", callHooks("afterStep", Object.assign({ error: err }, step)));
+    }
+
+    if (err) {
+      const { index: stepIndex, label } = step || {};
+      track("onFail hook", callHooks("onFail", { error: err, index: stepIndex, label, trace }));
+    }
+
+    const invokeFinallyCb = (wrap, ix) => {
+      track(`runFinally ${ix + 1}`, [wrap[WRAPPED_FN].call(context, context)]);
+    };
+
+    if (aggregate) {
+      finallyCbs.forEach((wrap, ix) => {
+        try {
+          invokeFinallyCb(wrap, ix);
+        } catch (err2) {
+          addFailure(`runFinally ${ix + 1}`, err2);
+        }
+      });
+    } else {
+      try {
+        finallyCbs.forEach(invokeFinallyCb);
+      } catch (err2) {
+        error = err2;
+      }
+    }
 
-    try {
-      finallyCbs.forEach(wrap => returnFinallyCbs.push(wrap[WRAPPED_FN]()));
-      returnFinallyCbs = returnFinallyCbs.filter(x => x);
-    } catch (err2) {
-      error = err2;
+    if (cleanups.length > 0) {
+      track("cleanup", [
+        runCleanups().then(errors => {
+          if (aggregate) {
+            errors.forEach(x => addFailure("cleanup", x));
+          } else if (errors.length > 1) {
+            throw createAggregateError(errors, `runVerify: ${errors.length} cleanups failed`);
+          } else if (errors.length > 0) {
+            throw errors[0];
+          }
+        })
+      ]);
     }
 
+    const aggregateFailures = () => {
+      if (!aggregate || failures.length < 2) {
+        return error;
+      }
+      const aggregated = createAggregateError(
+        failures.map(x => x.error),
+        `runVerify: ${failures.length} failures:
+${failures.map(x => `  ${x.source}: ${(x.error && x.error.message) || x.error}`).join("\n")}`
+      );
+      aggregated.causes = failures;
+      aggregated.cause = failures[0].error;
+      return aggregated;
+    };
+
+    clock.clearTimeout(stepTimer);
+    clock.clearTimeout(retryTimer);
+    clock.clearTimeout(retryWindowTimer);
+
     const invokeDone = () => {
-      clearTimeout(timeoutTimer);
-      if (done.length > 1) {
-        return done(error, result);
-      } else {
-        return done(error);
+      clock.clearTimeout(timeoutTimer);
+
+      error = aggregateFailures();
+
+      const callDone = () => {
+        error = aggregateFailures();
+        if (done.length > 1) {
+          return done(error, result);
+        } else {
+          return done(error);
+        }
+      };
+
+      const onDoneHooks = callHooks("onDone", {
+        error,
+        result,
+        trace,
+        time: clockNow(clock) - verifyStart
+      });
+
+      if (onDoneHooks.length > 0) {
+        return Promise.all(
+          onDoneHooks.map(x => x.catch(err2 => addFailure("onDone hook", err2)))
+        ).then(callDone);
       }
+
+      return callDone();
     };
 
-    if (returnFinallyCbs.length > 0) {
-      Promise.all(returnFinallyCbs)
-        .catch(err2 => {
-          if (!error) error = err2;
-        })
-        .then(invokeDone);
+    if (pending.length > 0) {
+      Promise.all(
+        pending.map(x => Promise.resolve(x.promise).catch(err2 => addFailure(x.source, err2)))
+      ).then(invokeDone);
     } else {
       invokeDone();
     }
   };
 
+  const abortError = () => {
+    const err = verifyError("runVerify: verification aborted");
+    err.name = "AbortError";
+    err.code = "ABORT_ERR";
+    err.cause = signal.reason;
+    return err;
+  };
+
+  onAbort = () => {
+    const err = abortError();
+    // pending defers can't be resolved anymore, and rejecting one fails the verification
+    defers.filter(x => !x.invoked).forEach(x => x.reject(err));
+    return completed || invokeFinally(err, undefined, "abort");
+  };
+
   const invokeCheckFunc = prevResult => {
     if (failError) {
       return undefined;
@@ -188,6 +593,14 @@ function _runVerify(args, errorFromCall) {
 
     const addDefer = defer => {
       defers.push(defer);
+      defer._clock = clock;
+      // a defer can fail the verification even after it resolved
+      defer.event.on("fail", err => completed || invokeFinally(err, undefined, "defer"));
+
+      // a free defer that was rejected before it's reached fails the test
+      if (defer.invoked && defer.failed && !defer[DEFER_WAIT]) {
+        return invokeFinally(defer.error, undefined, "defer");
+      }
 
       const invokeDeferHandlers = (handlers, value) => {
         for (const h of handlers) {
@@ -215,7 +628,7 @@ function _runVerify(args, errorFromCall) {
           // fail as soon as a defer failed
           if (errors.length > 0) {
             if (!defer[DEFER_WAIT]) {
-              return invokeFinally(errors[0]);
+              return invokeFinally(errors[0], undefined, "defer");
             } else {
               return undefined;
             }
@@ -233,10 +646,12 @@ function _runVerify(args, errorFromCall) {
         return undefined;
       };
 
-      defer.setAwait({
+      return defer.setAwait({
         resolve: r => onDefer(undefined, r),
         reject: err => onDefer(err),
         errorFromCall,
+        createError: message => verifyError(message),
+        clock,
         timeoutMsg: `from runVerify`,
         waitTimeout: defer.timeout
       });
@@ -249,19 +664,31 @@ function _runVerify(args, errorFromCall) {
         return nextCheckFunc(prevResult);
       }
       if (wrap._timeout) {
-        clearTimeout(timeoutTimer);
-        timeoutTimer = setTimeout(() => {
-          failError = errorMsg(
-            errorFromCall,
+        clock.clearTimeout(timeoutTimer);
+        timeoutTimer = clock.setTimeout(() => {
+          failError = verifyError(
             `runVerify: test timeout after ${wrap._timeout}ms while waiting for \
 run check function number ${index + 1}`
           );
           wrap[WRAPPED_FN](failError);
-          invokeFinally(failError);
+          invokeFinally(failError, undefined, "runTimeout");
         }, wrap._timeout);
         return nextCheckFunc(prevResult);
       }
       checkFunc = wrap[WRAPPED_FN];
+      if (wrap._advance !== undefined) {
+        const ms = wrap._advance;
+        const result = prevResult;
+        checkFunc = function advanceClock() {
+          if (clock.tickAsync) {
+            return clock.tickAsync(ms).then(() => result);
+          } else if (clock.tick) {
+            clock.tick(ms);
+            return result;
+          }
+          return new Promise(resolve => clock.setTimeout(() => resolve(result), ms));
+        };
+      }
     }
 
     if (checkFunc[DEFER_EVENT]) {
@@ -270,28 +697,35 @@ run check function number ${index + 1}`
         addDefer(defer);
       }
 
-      if (!defer[DEFER_WAIT] || checkFunc === defer) {
-        return setTimeout(() => nextCheckFunc(prevResult));
+      // only the function from defer.wait() waits, the defer itself or a function with it is free
+      if (!checkFunc[DEFER_WAIT] || checkFunc === defer) {
+        return process.nextTick(() => nextCheckFunc(prevResult));
       }
     }
 
-    const tof = typeof checkFunc;
-    if (tof !== "function") {
-      return invokeFinally(
-        errorMsg(errorFromCall, `runVerify param ${index} is not a function: type ${tof}`)
-      );
-    }
-
+    // in context mode, the context is the first param, before result and next
+    const withContext =
+      Boolean(context[VERIFY_CONTEXT].context) && checkFunc[VERIFY_CONTEXT] !== false;
+    const paramCount = withContext ? checkFunc.length - 1 : checkFunc.length;
     let cbNext;
-    let wantResult = checkFunc.length > 0;
+    let wantResult = paramCount > 0;
+    const kind = declaredKind(checkFunc, wrap);
 
     if (checkFunc.constructor.name === "AsyncFunction") {
       cbNext = false;
-    } else if (checkFunc.length > 1) {
+    } else if (paramCount > 1) {
       cbNext = true;
+    } else if (kind) {
+      cbNext = kind === "callback";
+      wantResult = wantResult && !cbNext;
     } else if (
-      wrap._withCallback === true ||
-      detectWantCallbackByParamName(checkFunc, index, invokeFinally)
+      paramCount > 0 &&
+      !strict &&
+      detectWantCallbackByParamName(
+        checkFunc,
+        { index, paramIndex: withContext ? 1 : 0 },
+        invokeFinally
+      )
     ) {
       cbNext = true;
       wantResult = false;
@@ -299,104 +733,305 @@ run check function number ${index + 1}`
 
     const prevIndex = index++;
 
+    const step = {
+      index: prevIndex,
+      label: wrap._name || checkFunc.name || `check function number ${prevIndex}`,
+      kind: cbNext ? "callback" : "sync",
+      time: 0,
+      passed: undefined
+    };
+    trace.push(step);
+    stepWrap = wrap;
+
+    let settled = false;
+    const settle = fn => v => {
+      if (settled || completed) {
+        return undefined;
+      }
+      settled = true;
+      clock.clearTimeout(stepTimer);
+      clock.clearTimeout(retryTimer);
+      clock.clearTimeout(retryWindowTimer);
+      return fn(v);
+    };
+
+    // call a hook of all plugins and continue after the promises they returned
+    const runHooks = (name, info, next) => {
+      const pending = callHooks(name, info);
+      if (pending.length < 1) {
+        return next();
+      }
+      return Promise.all(pending).then(
+        next,
+        err => completed || invokeFinally(err, undefined, `${name} hook`)
+      );
+    };
+
+    const passStep = settle(r => {
+      const passed = endStep(true);
+      if (!parentContext) {
+        context.results[step.index] = r;
+        if (wrap._name) {
+          context.labeled[wrap._name] = r;
+        }
+      }
+      return runHooks("afterStep", Object.assign({ result: r }, passed), () => invokeCheckFunc(r));
+    });
+
+    const failStep = settle(invokeFinally);
+
     const expectError = Boolean(wrap._expectError);
     const failExpectError = () => {
-      return errorMsg(
-        errorFromCall,
-        `runVerify expecting error from check function number ${prevIndex}`
-      );
+      return verifyError(`runVerify expecting error from check function number ${prevIndex}`);
     };
 
     const invokeWithExpectError = err => {
       if (wrap._expectError === "has") {
         if (err.message.indexOf(wrap._expectErrorMsg) < 0) {
-          return invokeFinally(
-            errorMsg(
-              errorFromCall,
-              `runVerify expecting error with message has '${wrap._expectErrorMsg}'`
-            )
+          return failStep(
+            verifyError(`runVerify expecting error with message has '${wrap._expectErrorMsg}'`, err)
           );
         }
       } else if (wrap._expectError === "toBe") {
         if (err.message !== wrap._expectErrorMsg) {
-          return invokeFinally(
-            errorMsg(
-              errorFromCall,
-              `runVerify expecting error with message to be '${wrap._expectErrorMsg}'`
-            ),
-            undefined,
-            index
+          return failStep(
+            verifyError(
+              `runVerify expecting error with message to be '${wrap._expectErrorMsg}'`,
+              err
+            )
+          );
+        }
+      } else if (wrap._expectError === "matches") {
+        const regex = wrap._expectErrorMatch;
+        if (String(err && err.message).search(regex) < 0) {
+          return failStep(
+            verifyError(
+              `runVerify expecting error with message matching ${regex} but got \
+${describeError(err)}`,
+              err
+            )
+          );
+        }
+      } else if (wrap._expectError === "instanceOf") {
+        const ErrorClass = wrap._expectErrorMatch;
+        if (!(err instanceof ErrorClass)) {
+          return failStep(
+            verifyError(
+              `runVerify expecting error to be instance of ${ErrorClass.name} but got \
+${describeError(err)}`,
+              err
+            )
+          );
+        }
+      } else if (wrap._expectError === "code") {
+        const code = wrap._expectErrorMatch;
+        if (!err || err.code !== code) {
+          return failStep(
+            verifyError(
+              `runVerify expecting error with code '${code}' but got ${describeError(err)}`,
+              err
+            )
+          );
+        }
+      } else if (wrap._expectError === "where") {
+        const predicate = wrap._expectErrorMatch;
+        let matched;
+        try {
+          matched = predicate(err);
+        } catch (err2) {
+          return failStep(err2);
+        }
+        if (!matched) {
+          return failStep(
+            verifyError(
+              `runVerify expecting error to satisfy ${predicate.name || "predicate"} but got \
+${describeError(err)}`,
+              err
+            )
           );
         }
       }
 
-      return invokeCheckFunc(err);
+      return passStep(err);
     };
 
-    if (cbNext) {
-      try {
-        const next = expectError
-          ? err => {
-              if (err) return invokeWithExpectError(err);
-              return invokeFinally(failExpectError());
-            }
-          : (err, r) => {
-              if (err) return invokeFinally(err);
-              return invokeCheckFunc(r);
-            };
+    const onPass = r => (expectError ? failStep(failExpectError()) : passStep(r));
+    const onFail = err => (expectError ? invokeWithExpectError(err) : failStep(err));
 
-        if (wantResult) {
-          return checkFunc(prevResult, next);
-        } else {
-          return checkFunc(next);
+    const invoke = (...params) =>
+      checkFunc.apply(context, withContext ? [context].concat(params) : params);
+
+    const runAttempt = (pass, fail) => {
+      if (cbNext) {
+        const next = (err, r) => (err ? fail(err) : pass(r));
+        try {
+          return wantResult ? invoke(prevResult, next) : invoke(next);
+        } catch (err) {
+          return fail(err);
         }
-      } catch (err) {
-        return expectError ? invokeWithExpectError(err) : invokeFinally(err);
       }
-    } else {
+
       let result;
 
       try {
-        if (wantResult) {
-          result = checkFunc(prevResult);
-        } else {
-          result = checkFunc();
-        }
+        result = wantResult ? invoke(prevResult) : invoke();
       } catch (err) {
-        return expectError ? invokeWithExpectError(err) : invokeFinally(err);
+        return fail(err);
       }
 
       if (result && result.then && result.catch) {
-        if (expectError) {
-          let error;
-          return result
-            .catch(err => {
-              error = err;
-            })
-            .then(() => {
-              if (error === undefined) {
-                return invokeFinally(failExpectError());
-              } else {
-                return invokeWithExpectError(error);
-              }
-            });
-        } else {
-          return result.then(invokeCheckFunc).catch(invokeFinally);
+        step.kind = "async";
+        return result.then(pass, fail);
+      }
+
+      return pass(result);
+    };
+
+    const retry = wrap._retry;
+    const errors = [];
+    let attempts = 0;
+    let retryStart;
+    let interval;
+
+    // the error when the retry gave up, with the failure of every attempt
+    const retryError = (reason, cause) => {
+      const lines = errors.map((x, ix) => `  attempt ${ix + 1}: ${(x && x.message) || x}`);
+      if (attempts > errors.length) {
+        lines.push(`  attempt ${attempts}: didn't finish`);
+      }
+      const error = verifyError(
+        `runVerify: step '${step.label}' ${reason}:
+${lines.join("\n")}`,
+        cause
+      );
+      error.errors = errors;
+      return error;
+    };
+
+    const attempt = () => {
+      let called = false;
+      attempts++;
+      const once = fn => v => {
+        if (!called) {
+          called = true;
+          fn(v);
         }
-      } else if (expectError) {
-        return invokeFinally(failExpectError());
-      } else {
-        return invokeCheckFunc(result);
+      };
+
+      return runAttempt(
+        once(onPass),
+        once(err => {
+          errors.push(err);
+          if (settled || completed) {
+            return undefined;
+          }
+          const elapsed = clockNow(clock) - retryStart + interval;
+          if (errors.length >= retry.times || (retry.timeout && elapsed >= retry.timeout)) {
+            return onFail(retryError(`failed after ${errors.length} attempts`, err));
+          }
+          retryTimer = clock.setTimeout(attempt, interval);
+          interval *= retry.backoff;
+          return undefined;
+        })
+      );
+    };
+
+    const runStep = () => {
+      if (completed) {
+        return undefined;
       }
-    }
+
+      stepStart = clockNow(clock);
+
+      if (wrap._stepTimeout) {
+        clock.clearTimeout(stepTimer);
+        stepTimer = clock.setTimeout(() => {
+          failStep(
+            verifyError(`runVerify: step '${step.label}' timeout after ${wrap._stepTimeout}ms`)
+          );
+        }, wrap._stepTimeout);
+      }
+
+      if (!retry) {
+        return runAttempt(onPass, onFail);
+      }
+
+      retryStart = stepStart;
+      interval = retry.interval;
+      if (retry.timeout) {
+        // an attempt that never finishes can't keep the step from failing
+        retryWindowTimer = clock.setTimeout(() => {
+          onFail(retryError(`timeout after ${retry.timeout}ms`, errors[errors.length - 1]));
+        }, retry.timeout);
+      }
+      return attempt();
+    };
+
+    return runHooks(
+      "beforeStep",
+      { index: step.index, label: step.label, kind: step.kind },
+      runStep
+    );
   };
 
-  invokeCheckFunc();
+  const problems = validateCheckFuncs(checkFuncs.slice(0, lastIx), {
+    strict,
+    contextMode: Boolean(context[VERIFY_CONTEXT].context)
+  });
+  if (problems.length > 0) {
+    const lines = problems.map(x => `param ${x.index} ${x.message}`);
+    const message =
+      lines.length === 1
+        ? `runVerify ${lines[0]}`
+        : `runVerify: ${lines.length} problems with the check functions:\n  ${lines.join("\n  ")}`;
+    return invokeFinally(Object.assign(verifyError(message), { problems }));
+  }
+
+  if (signal) {
+    if (signal.aborted) {
+      return invokeFinally(abortError(), undefined, "abort");
+    }
+    signal.addEventListener("abort", onAbort);
+  }
+
+  return invokeCheckFunc(initialResult);
+}
+
+/**
+ * Sets the default options for all verifications
+ * @param {Object} options - Options
+ * @param {Object} [options.clock] - Clock with setTimeout and clearTimeout for all timers,
+ * like a fake clock from @sinonjs/fake-timers
+ * @param {Object[]} [options.plugins] - Plugins with hooks, see use
+ * @param {boolean} [options.aggregateErrors] - Report all failures of a verification, from
+ * check functions, defers, onFailVerify, runFinally, cleanups, and hooks, in an AggregateError
+ * @param {boolean} [options.errorCause] - Keep the errors of check functions as they are, and
+ * create a new error with the call site stack and a cause for each failure runVerify detects
+ * @param {boolean} [options.strict] - Don't detect if a check function that takes one param
+ * wants the result or the next callback by the param name, require it to be declared
+ * @returns {Object} The default options
+ */
+function configure(options) {
+  return Object.assign(config, options);
+}
+
+/**
+ * Registers a plugin with hooks that are called by all verifications
+ * @param {Object} plugin - Plugin with any of the hooks beforeStep, afterStep, onFail, and onDone
+ * @returns {Function} Function to remove the plugin
+ */
+function use(plugin) {
+  config.plugins = config.plugins.concat(plugin);
+  return () => {
+    config.plugins = config.plugins.filter(x => x !== plugin);
+  };
 }
 
 /**
  * Runs a series of check functions in sequence, with support for async operations
- * @param {...CheckFunction} args - Check functions to run in sequence, last argument is done callback
+ * @param {...CheckFunction} args - Check functions to run in sequence, last argument is done callback.
+ * The first argument can be an options object, see configure for the options, and
+ * options.signal, an AbortSignal to abort the verification.
  * @description
  * Will call each checkFunc in series.
  *
@@ -417,6 +1052,8 @@ run check function number ${index + 1}`
  * For 2 params: (result, next)
  *   - result - result from previous checkFunc
  *   - next - callback to continue to next checkFunc
+ *
+ * @returns {void}
  */
 function runVerify(...args) {
   const errorFromCall = new Error();
@@ -429,9 +1066,14 @@ function runVerify(...args) {
   return _runVerify(args, errorFromCall);
 }
 
+runVerify.configure = configure;
+runVerify.use = use;
+
 /**
  * Promise-based version of runVerify
- * @param {...CheckFunction} args - Check functions to run in sequence
+ * @param {...CheckFunction} args - Check functions to run in sequence.
+ * The first argument can be an options object, see configure for the options, and
+ * options.signal, an AbortSignal to abort the verification.
  * @returns {Promise<*>} Promise that resolves with the final result or rejects with an error
  */
 function asyncVerify(...args) {
@@ -447,6 +1089,162 @@ function asyncVerify(...args) {
   });
 }
 
+/**
+ * Promise-based version of runVerify in context mode, where each check function gets the
+ * context of the verification as its first param, before result and next.
+ * @param {...CheckFunction} args - Check functions to run in sequence.
+ * The first argument can be an options object, same as asyncVerify.
+ * @returns {Promise<*>} Promise that resolves with the final result or rejects with an error
+ */
+function verifyWithContext(...args) {
+  const errorFromCall = new Error();
+  /* istanbul ignore next */
+  if (Error.captureStackTrace) {
+    /* istanbul ignore next */
+    Error.captureStackTrace(errorFromCall, verifyWithContext);
+  }
+
+  const options = isVerifyOptions(args[0]) ? args[0] : {};
+  const checkFuncs = options === args[0] ? args.slice(1) : args;
+
+  return new Promise((resolve, reject) => {
+    _runVerify(
+      [
+        Object.assign({}, options, { context: true }),
+        ...checkFuncs,
+        (err, res) => (err ? reject(err) : resolve(res))
+      ],
+      errorFromCall
+    );
+  });
+}
+
+/**
+ * Creates a check function that drives a generator, running each value it yields like a
+ * check function in its own verification, and sending the result back to the generator
+ * @param {Function} genFn - The generator function
+ * @param {Error} errorFromCall - Error with the call site stack
+ * @returns {Function} Check function that passes the value the generator returns
+ */
+const generatorCheck = (genFn, errorFromCall) => {
+  /**
+   * Runs the generator until it returns, fails, or times out
+   * @this {VerifyContext}
+   * @param {*} prevResult - Result from previous check function
+   * @param {Function} next - Callback with the value the generator returns
+   * @returns {void}
+   */
+  function runGenerator(prevResult, next) {
+    const { clock, aggregateErrors, errorCause, strict } = this[VERIFY_CONTEXT];
+    const genClock = getClock(clock);
+    const gen = genFn.call(this, this);
+    let count = 0;
+    let timer;
+    let finished = false;
+    let genDone = false;
+    let step;
+
+    const finish = (err, result) => {
+      finished = true;
+      genClock.clearTimeout(timer);
+      return next(err, result);
+    };
+
+    // close the generator to run its finally blocks, even if the verification failed elsewhere
+    this.cleanup(() => {
+      genClock.clearTimeout(timer);
+      return genDone || gen.return();
+    });
+
+    const startTimeout = wrap => {
+      genClock.clearTimeout(timer);
+      timer = genClock.setTimeout(() => {
+        const err = errorMsg(
+          errorFromCall,
+          `genVerify: test timeout after ${wrap._timeout}ms while waiting for yield number ${count}`
+        );
+        wrap[WRAPPED_FN](err);
+        finish(err);
+      }, wrap._timeout);
+    };
+
+    const runYield = (value, result) => {
+      count++;
+      if (value && value[IS_FINALLY] === true) {
+        this.cleanup(() => value[WRAPPED_FN].call(this, this));
+        return step("next", result);
+      } else if (value && value.hasOwnProperty(WRAPPED_FN) && value._timeout) {
+        startTimeout(value);
+        return step("next", result);
+      }
+      const isPromise = value && typeof value !== "function" && typeof value.then === "function";
+      const yieldError = new Error();
+      yieldError.stack = errorFromCall.stack;
+      return _runVerify(
+        [
+          { context: this, clock, aggregateErrors, errorCause, strict },
+          isPromise ? () => value : value,
+          (err, r) => (err ? step("throw", err) : step("next", r))
+        ],
+        yieldError,
+        result
+      );
+    };
+
+    step = (method, value) => {
+      if (finished) {
+        return undefined;
+      }
+      let item;
+      try {
+        item = gen[method](value);
+      } catch (err) {
+        genDone = true;
+        return finish(err);
+      }
+      genDone = item.done;
+      return item.done ? finish(null, item.value) : runYield(item.value, value);
+    };
+
+    step("next", prevResult);
+  }
+
+  runGenerator[VERIFY_CONTEXT] = false;
+
+  return runGenerator;
+};
+
+/**
+ * Runs a verification from a generator function, which yields check functions, defers, or
+ * promises, and gets their results back. It can also yield runTimeout and runFinally.
+ * @param {...*} args - The generator function, optionally led by an options object, same as
+ * asyncVerify. The generator gets the context of the verification as this and its first param.
+ * @returns {Promise<*>} Promise that resolves with the value the generator returns
+ */
+function genVerify(...args) {
+  const errorFromCall = new Error();
+  /* istanbul ignore next */
+  if (Error.captureStackTrace) {
+    /* istanbul ignore next */
+    Error.captureStackTrace(errorFromCall, genVerify);
+  }
+
+  const options = isVerifyOptions(args[0]) ? args[0] : {};
+  const genFn = options === args[0] ? args[1] : args[0];
+
+  return new Promise((resolve, reject) => {
+    _runVerify(
+      [
+        options,
+        // let the validation report it if it's not a function
+        typeof genFn === "function" ? generatorCheck(genFn, errorFromCall) : genFn,
+        (err, res) => (err ? reject(err) : resolve(res))
+      ],
+      errorFromCall
+    );
+  });
+}
+
 /**
  * Creates a function that wraps a value in asyncVerify
  * @param {...CheckFunction} args - Check functions to run after the wrapped value
@@ -496,6 +1294,13 @@ const wrapCheck = fn => {
     }
   });
 
+  Object.defineProperty(wrap, "withResult", {
+    get() {
+      wrap._withResult = true;
+      return wrap;
+    }
+  });
+
   Object.defineProperty(wrap, "onFailVerify", {
     get() {
       wrap._onFailVerify = true;
@@ -515,11 +1320,37 @@ const wrapCheck = fn => {
     return wrap;
   };
 
+  const expectErrorBy = type => match => {
+    wrap._expectError = type;
+    wrap._expectErrorMatch = match;
+    return wrap;
+  };
+
+  wrap.expectErrorMatches = expectErrorBy("matches");
+  wrap.expectErrorInstanceOf = expectErrorBy("instanceOf");
+  wrap.expectErrorCode = expectErrorBy("code");
+  wrap.expectErrorWhere = expectErrorBy("where");
+
   wrap.runTimeout = delay => {
     wrap._timeout = delay;
     return wrap;
   };
 
+  wrap.stepTimeout = delay => {
+    wrap._stepTimeout = delay;
+    return wrap;
+  };
+
+  wrap.retry = options => {
+    wrap._retry = Object.assign({ times: 3, interval: 0, backoff: 1 }, options);
+    return wrap;
+  };
+
+  wrap.name = label => {
+    wrap._name = label;
+    return wrap;
+  };
+
   return wrap;
 };
 
@@ -552,6 +1383,46 @@ const expectErrorToBe = (fn, msg) => {
   return wrapCheck(fn).expectErrorToBe(msg);
 };
 
+/**
+ * Marks a check function to expect an error with message matching a regex
+ * @param {Function} fn - Function to wrap
+ * @param {RegExp} regex - Regex the error message should match
+ * @returns {Object} Wrapped function that expects a matching error message
+ */
+const expectErrorMatches = (fn, regex) => {
+  return wrapCheck(fn).expectErrorMatches(regex);
+};
+
+/**
+ * Marks a check function to expect an error that's an instance of a class
+ * @param {Function} fn - Function to wrap
+ * @param {Function} ErrorClass - Class the error should be an instance of
+ * @returns {Object} Wrapped function that expects an error of the class
+ */
+const expectErrorInstanceOf = (fn, ErrorClass) => {
+  return wrapCheck(fn).expectErrorInstanceOf(ErrorClass);
+};
+
+/**
+ * Marks a check function to expect an error with a code, like ENOENT
+ * @param {Function} fn - Function to wrap
+ * @param {string} code - Expected value of the error's code
+ * @returns {Object} Wrapped function that expects an error with the code
+ */
+const expectErrorCode = (fn, code) => {
+  return wrapCheck(fn).expectErrorCode(code);
+};
+
+/**
+ * Marks a check function to expect an error that satisfies a predicate
+ * @param {Function} fn - Function to wrap
+ * @param {Function} predicate - Function that takes the error and returns true if it's expected
+ * @returns {Object} Wrapped function that expects an error satisfying the predicate
+ */
+const expectErrorWhere = (fn, predicate) => {
+  return wrapCheck(fn).expectErrorWhere(predicate);
+};
+
 /**
  * Marks a function to be called on verification failure
  * @param {Function} fn - Function to wrap
@@ -570,6 +1441,25 @@ const withCallback = fn => {
   return wrapCheck(fn).withCallback;
 };
 
+/**
+ * Marks a function as taking the result of the previous check function
+ * @param {Function} fn - Function to wrap
+ * @returns {Object} Wrapped function marked as taking the result
+ */
+const withResult = fn => {
+  return wrapCheck(fn).withResult;
+};
+
+/**
+ * Gives a check function a label for error messages and the verify trace
+ * @param {string} label - Label of the step
+ * @param {Function} fn - Function to wrap
+ * @returns {Object} Wrapped function with the label
+ */
+const step = (label, fn) => {
+  return wrapCheck(fn).name(label);
+};
+
 /**
  * Creates a timeout check function
  * @param {number} delay - Timeout duration in milliseconds
@@ -580,6 +1470,120 @@ const runTimeout = (delay, fn) => {
   return wrapCheck(fn || (() => {})).runTimeout(delay);
 };
 
+/**
+ * Limits the time a single check function has to complete
+ * @param {number} delay - Timeout duration in milliseconds
+ * @param {Function} fn - Function to wrap
+ * @returns {Object} Wrapped function with a step timeout
+ */
+const withTimeout = (delay, fn) => {
+  return wrapCheck(fn).stepTimeout(delay);
+};
+
+/**
+ * Re-runs a check function until it passes or the timeout is reached
+ * @param {Function} fn - Function to wrap
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Time in milliseconds to keep trying, default 1000
+ * @param {number} [options.interval] - Time in milliseconds between attempts, default 50
+ * @returns {Object} Wrapped function that retries on failure
+ */
+const eventually = (fn, { timeout = 1000, interval = 50 } = {}) => {
+  return wrapCheck(fn).retry({ times: Infinity, timeout, interval });
+};
+
+/**
+ * Creates a check function that runs a group of check functions at the same time
+ * @param {...CheckFunction} checkFuncs - Check functions to run in parallel
+ * @returns {Object} Wrapped function that passes an array of the results to the next
+ * check function
+ */
+const runParallel = (...checkFuncs) => {
+  const errorFromCall = new Error();
+  /* istanbul ignore next */
+  if (Error.captureStackTrace) {
+    /* istanbul ignore next */
+    Error.captureStackTrace(errorFromCall, runParallel);
+  }
+
+  let wrap;
+
+  /**
+   * Runs the check functions of the group, each in its own verification
+   * @this {VerifyContext}
+   * @param {*} prevResult - Result from previous check function
+   * @param {Function} next - Callback with the results of the group
+   * @returns {void}
+   */
+  function runParallelGroup(prevResult, next) {
+    const results = new Array(checkFuncs.length);
+    let pending = checkFuncs.length;
+    let failed = false;
+
+    if (pending < 1) {
+      return next(null, results);
+    }
+
+    return checkFuncs.forEach((checkFunc, ix) => {
+      // each check function gets its own error so their messages don't clobber each other
+      const memberError = new Error();
+      memberError.stack = errorFromCall.stack;
+
+      const memberDone = (err, r) => {
+        if (failed) {
+          return undefined;
+        }
+
+        if (wrap._settled) {
+          results[ix] = err
+            ? { status: "rejected", reason: err }
+            : { status: "fulfilled", value: r };
+        } else if (err) {
+          failed = true;
+          return next(err);
+        } else {
+          results[ix] = r;
+        }
+
+        return --pending === 0 ? next(null, results) : undefined;
+      };
+
+      const { clock, aggregateErrors, errorCause, strict } = this[VERIFY_CONTEXT];
+      _runVerify(
+        [{ context: this, clock, aggregateErrors, errorCause, strict }, checkFunc, memberDone],
+        memberError,
+        prevResult
+      );
+    });
+  }
+
+  // the check functions of the group get the context, not the group
+  runParallelGroup[VERIFY_CONTEXT] = false;
+  wrap = wrapCheck(runParallelGroup);
+
+  Object.defineProperty(wrap, "settled", {
+    get() {
+      wrap._settled = true;
+      return wrap;
+    }
+  });
+
+  return wrap;
+};
+
+/**
+ * Creates a check function that advances the clock, for verifications that run on a fake clock
+ * @param {number} ms - Time in milliseconds to advance
+ * @returns {Object} Wrapped function that advances the clock and passes the previous result
+ * to the next check function
+ */
+const advance = ms => {
+  // the check function is created by runVerify with its clock
+  const wrap = wrapFn(null);
+  wrap._advance = ms;
+  return wrap;
+};
+
 /**
  * Creates a deferred object for handling async operations
  * @param {number} timeout - Timeout duration in milliseconds
@@ -612,6 +1616,12 @@ const runDefer = timeout => {
         this.error = err;
       }
     },
+    fail(err) {
+      d.invoked = true;
+      d.failed = true;
+      d.error = err;
+      event.emit("fail", err);
+    },
     onResolve(cb) {
       handlers.resolve.push(cb);
       return d;
@@ -638,7 +1648,7 @@ const runDefer = timeout => {
 
       return fn;
     },
-    setAwait({ resolve, reject, errorFromCall, timeoutMsg, waitTimeout }) {
+    setAwait({ resolve, reject, errorFromCall, createError, clock, timeoutMsg, waitTimeout }) {
       if (d.invoked) {
         if (d.failed) {
           reject(d.error);
@@ -648,13 +1658,14 @@ const runDefer = timeout => {
       } else {
         d._waiting = true;
 
+        const awaitClock = getClock(clock);
         let timer;
         let handler;
         const resolveCb = r => handler("resolve", r);
         const rejectCb = err => handler("reject", err);
 
         handler = (type, v) => {
-          clearTimeout(timer);
+          awaitClock.clearTimeout(timer);
           d._waiting = false;
           event.removeListener("resolve", resolveCb);
           event.removeListener("reject", rejectCb);
@@ -674,15 +1685,19 @@ const runDefer = timeout => {
         event.on("reject", rejectCb);
 
         if (waitTimeout > 0) {
-          timer = setTimeout(() => {
+          timer = awaitClock.setTimeout(() => {
+            const detail = d[DEFER_DETAIL] ? ` - ${d[DEFER_DETAIL]()}` : "";
             return (
               d.invoked ||
               event.emit(
                 "reject",
-                errorMsg(errorFromCall, `defer timeout after ${waitTimeout}ms - ${timeoutMsg}`)
+                (createError || (message => errorMsg(errorFromCall, message)))(
+                  `defer timeout after ${waitTimeout}ms - ${timeoutMsg}${detail}`
+                )
               )
             );
-          }, waitTimeout).unref();
+          }, waitTimeout);
+          unrefTimer(timer);
         }
       }
     },
@@ -710,12 +1725,14 @@ const runDefer = timeout => {
             resolve,
             reject,
             errorFromCall,
+            clock: d._clock,
             timeoutMsg: "from defer.wait",
             waitTimeout
           });
         });
       };
       d[DEFER_WAIT] = true;
+      waitFn[DEFER_WAIT] = true;
       waitFn[DEFER_OBJ] = d;
       waitFn[DEFER_EVENT] = event;
 
@@ -725,6 +1742,340 @@ const runDefer = timeout => {
   return d;
 };
 
+/**
+ * Creates a check function that waits for an emitter to emit a sequence of events
+ * @param {EventEmitter} emitter - The event emitter to watch
+ * @param {string[]} events - Names of the events expected, in order
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Timeout duration in milliseconds
+ * @param {boolean} [options.strict] - Fail on any watched event emitted out of order
+ * @param {string[]} [options.watch] - Names of other events to watch, that fail it in strict mode
+ * @returns {Function} Check function that passes the payloads of the events to the next
+ * check function
+ */
+const expectEvents = (emitter, events, { timeout, strict, watch = [] } = {}) => {
+  const errorFromCall = new Error();
+  /* istanbul ignore next */
+  if (Error.captureStackTrace) {
+    /* istanbul ignore next */
+    Error.captureStackTrace(errorFromCall, expectEvents);
+  }
+
+  const defer = runDefer();
+  const seen = [];
+  const payloads = [];
+
+  const describeSeen = () =>
+    `expecting events [${events.join(", ")}] - events seen: [${seen.join(", ")}]`;
+
+  let listeners = [];
+
+  const stopListening = () => {
+    listeners.forEach(([name, listener]) => emitter.removeListener(name, listener));
+  };
+
+  const onEvent = (name, args) => {
+    seen.push(name);
+    if (name === events[payloads.length]) {
+      payloads.push(args.length > 1 ? args : args[0]);
+      if (payloads.length === events.length) {
+        stopListening();
+        defer.resolve(payloads);
+      }
+    } else if (strict) {
+      stopListening();
+      defer.reject(
+        errorMsg(errorFromCall, `expectEvents: unexpected event '${name}' - ${describeSeen()}`)
+      );
+    }
+  };
+
+  const watched = events.concat(watch);
+  listeners = watched
+    .filter((name, ix) => watched.indexOf(name) === ix)
+    .map(name => [name, (...args) => onEvent(name, args)]);
+
+  listeners.forEach(([name, listener]) => emitter.on(name, listener));
+  // also when the wait timed out, the verification was aborted, or it's done without reaching it
+  defer.event.once("reject", stopListening);
+  defer.event.once("done", stopListening);
+  defer[DEFER_DETAIL] = describeSeen;
+
+  return defer.wait(timeout);
+};
+
+/**
+ * Creates a defer that fails the verification if an emitter emits an event within a time window
+ * @param {EventEmitter} emitter - The event emitter to watch
+ * @param {string} eventName - Name of the event that must not be emitted
+ * @param {number} ms - Duration of the time window in milliseconds
+ * @returns {DeferObject} Deferred object that resolves when the time window closes
+ */
+const runNever = (emitter, eventName, ms) => {
+  const errorFromCall = new Error();
+  /* istanbul ignore next */
+  if (Error.captureStackTrace) {
+    /* istanbul ignore next */
+    Error.captureStackTrace(errorFromCall, runNever);
+  }
+
+  const defer = runDefer();
+  const setAwait = defer.setAwait;
+  let clock;
+  let timer;
+
+  let listener;
+
+  const stopListening = () => {
+    if (clock) {
+      clock.clearTimeout(timer);
+    }
+    emitter.removeListener(eventName, listener);
+  };
+
+  listener = (...args) => {
+    stopListening();
+    const payload = args.length > 0 ? ` - ${describeError(args[0])}` : "";
+    defer.reject(
+      errorMsg(errorFromCall, `runNever: unexpected event '${eventName}' within ${ms}ms${payload}`)
+    );
+  };
+
+  // the time window is on the clock of the verification that waits for the defer
+  defer.setAwait = awaitOptions => {
+    if (!clock && !defer.invoked) {
+      clock = getClock(awaitOptions.clock);
+      timer = clock.setTimeout(() => {
+        emitter.removeListener(eventName, listener);
+        defer.resolve();
+      }, ms);
+    }
+    return setAwait(awaitOptions);
+  };
+
+  emitter.on(eventName, listener);
+  // also when the verification is done without reaching it
+  defer.event.once("done", stopListening);
+
+  return defer;
+};
+
+/**
+ * Creates a spy function that records its calls, and works like a defer in the verification.
+ * Like a defer, the spy itself in the check functions passes the previous result on, only
+ * spy.wait() passes the calls to the next check function.
+ * @param {Object} [options] - Options
+ * @param {number} [options.times] - Number of calls to resolve with, default 1
+ * @param {number} [options.timeout] - Timeout duration in milliseconds
+ * @returns {Function} Spy function that resolves with the arguments of its calls, with
+ * calls and wait like defer.wait
+ */
+const runSpy = ({ times = 1, timeout } = {}) => {
+  const errorFromCall = new Error();
+  /* istanbul ignore next */
+  if (Error.captureStackTrace) {
+    /* istanbul ignore next */
+    Error.captureStackTrace(errorFromCall, runSpy);
+  }
+
+  const defer = runDefer(timeout);
+  const calls = [];
+
+  const spy = (...args) => {
+    calls.push(args);
+    if (calls.length === times) {
+      defer.resolve(calls);
+    } else if (calls.length > times) {
+      defer.fail(
+        errorMsg(errorFromCall, `runSpy: expected ${times} calls but got ${calls.length}`)
+      );
+    }
+  };
+
+  defer[DEFER_DETAIL] = () => `runSpy: expected ${times} calls but got ${calls.length}`;
+  spy[DEFER_OBJ] = defer;
+  spy[DEFER_EVENT] = defer.event;
+  spy.calls = calls;
+  spy.wait = waitTimeout => defer.wait(waitTimeout);
+
+  return spy;
+};
+
+/**
+ * Listens to the data, end, finish, and error events of a stream, and counts the bytes received
+ * @param {Object} stream - The stream
+ * @param {Object} handlers - Handlers for data, error, and end or finish
+ * @returns {Object} Info with the bytes received, and stop() to remove the listeners
+ */
+const listenStream = (stream, handlers) => {
+  const info = { bytes: 0 };
+  const onData = chunk => {
+    info.bytes += Buffer.byteLength(chunk);
+    handlers.data(chunk);
+  };
+  const listeners = [
+    ["data", onData],
+    ["end", handlers.end],
+    ["finish", handlers.finish],
+    ["error", handlers.error]
+  ].filter(([, listener]) => listener);
+
+  info.stop = () => listeners.forEach(([name, listener]) => stream.removeListener(name, listener));
+  listeners.forEach(([name, listener]) => stream.on(name, listener));
+
+  return info;
+};
+
+/**
+ * Creates a check function that reads a stream into a Buffer or string, like defer.wait
+ * @param {Object} stream - The readable stream
+ * @param {Object} [options] - Options
+ * @param {string} [options.encoding] - Decode the data into a string with this encoding
+ * @param {number} [options.maxBytes] - Fail if the stream sends more bytes
+ * @param {number} [options.timeout] - Timeout duration in milliseconds
+ * @returns {Function} Check function that passes the data to the next check function
+ */
+const readStream = (stream, { encoding, maxBytes, timeout } = {}) => {
+  const errorFromCall = new Error();
+  /* istanbul ignore next */
+  if (Error.captureStackTrace) {
+    /* istanbul ignore next */
+    Error.captureStackTrace(errorFromCall, readStream);
+  }
+
+  const defer = runDefer();
+  const chunks = [];
+
+  const info = listenStream(stream, {
+    data: chunk => {
+      chunks.push(Buffer.from(chunk));
+      if (maxBytes >= 0 && info.bytes > maxBytes) {
+        info.stop();
+        defer.reject(
+          errorMsg(errorFromCall, `readStream: received more than maxBytes ${maxBytes} bytes`)
+        );
+      }
+    },
+    end: () => {
+      info.stop();
+      const data = Buffer.concat(chunks);
+      defer.resolve(encoding ? data.toString(encoding) : data);
+    },
+    error: err => {
+      info.stop();
+      defer.reject(err);
+    }
+  });
+
+  defer[DEFER_DETAIL] = () => `readStream: received ${info.bytes} bytes`;
+
+  return defer.wait(timeout);
+};
+
+/**
+ * Creates a check function that waits for a readable stream to end, or a write-only stream to finish
+ * @param {Object} stream - The stream
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Timeout duration in milliseconds
+ * @returns {Function} Check function that passes the stream to the next check function
+ */
+const expectStreamEnds = (stream, { timeout } = {}) => {
+  const defer = runDefer();
+  // a duplex stream, like a socket, ends when its readable side ends
+  const readable = typeof stream.read === "function";
+
+  if (readable ? stream.readableEnded : stream.writableFinished) {
+    defer.resolve(stream);
+  } else {
+    const info = listenStream(stream, {
+      data: () => undefined,
+      [readable ? "end" : "finish"]: () => {
+        info.stop();
+        defer.resolve(stream);
+      },
+      error: err => {
+        info.stop();
+        defer.reject(err);
+      }
+    });
+
+    defer[DEFER_DETAIL] = () => `expectStreamEnds: stream not ended - received ${info.bytes} bytes`;
+  }
+
+  return defer.wait(timeout);
+};
+
+const matchLine = (expected, line) =>
+  expected instanceof RegExp ? expected.test(line) : line === expected;
+
+/**
+ * Creates a check function that waits for a stream to output lines in order
+ * @param {Object} stream - The readable stream
+ * @param {Array<string|RegExp>} lines - The lines, a string must equal a line, a RegExp
+ * must match it, other lines are skipped
+ * @param {Object} [options] - Options
+ * @param {string} [options.encoding] - Encoding of the data, default utf8
+ * @param {number} [options.timeout] - Timeout duration in milliseconds
+ * @returns {Function} Check function that passes the matched lines to the next check function
+ */
+const expectLines = (stream, lines, { encoding = "utf8", timeout } = {}) => {
+  const errorFromCall = new Error();
+  /* istanbul ignore next */
+  if (Error.captureStackTrace) {
+    /* istanbul ignore next */
+    Error.captureStackTrace(errorFromCall, expectLines);
+  }
+
+  const defer = runDefer();
+  const decoder = new StringDecoder(encoding);
+  const matched = [];
+  let pending = "";
+  let info;
+
+  const describeMatched = () =>
+    `expectLines: matched ${matched.length} of ${lines.length} lines - received ${info.bytes} bytes`;
+
+  const check = received => {
+    received.forEach(line => {
+      if (matched.length < lines.length && matchLine(lines[matched.length], line)) {
+        matched.push(line);
+      }
+    });
+    if (matched.length === lines.length) {
+      info.stop();
+      defer.resolve(matched);
+    }
+  };
+
+  info = listenStream(stream, {
+    data: chunk => {
+      const received = (pending + decoder.write(chunk)).split("\n");
+      pending = received.pop();
+      check(received);
+    },
+    end: () => {
+      check([pending + decoder.end()]);
+      if (defer.pending()) {
+        info.stop();
+        defer.reject(
+          errorMsg(
+            errorFromCall,
+            `${describeMatched()} - stream ended before ${lines[matched.length]}`
+          )
+        );
+      }
+    },
+    error: err => {
+      info.stop();
+      defer.reject(err);
+    }
+  });
+
+  defer[DEFER_DETAIL] = describeMatched;
+
+  return defer.wait(timeout);
+};
+
 /**
  * Creates a function to be run at the end of verification
  * @param {Function} fn - Function to run at the end
@@ -748,6 +2099,10 @@ module.exports = {
   asyncVerify,
   /** Create a function that wraps a value in asyncVerify */
   wrapAsyncVerify,
+  /** Run verification checks in sequence with a shared context, returning a promise */
+  verifyWithContext,
+  /** Run a verification from a generator function */
+  genVerify,
   /** Wrap a check function with additional capabilities */
   wrapCheck,
   /** Mark a function to expect an error */
@@ -756,14 +2111,64 @@ module.exports = {
   expectErrorHas,
   /** Mark a function to expect an exact error message */
   expectErrorToBe,
+  /** Mark a function to expect an error message matching a regex */
+  expectErrorMatches,
+  /** Mark a function to expect an error that's an instance of a class */
+  expectErrorInstanceOf,
+  /** Mark a function to expect an error with a code */
+  expectErrorCode,
+  /** Mark a function to expect an error that satisfies a predicate */
+  expectErrorWhere,
   /** Mark a function to be called on verification failure */
   onFailVerify,
   /** Mark a function as using callbacks */
   withCallback,
+  /** Mark a function as taking the result */
+  withResult,
+  /** Give a check function a label */
+  step,
   /** Create a timeout check function */
   runTimeout,
+  /** Limit the time a single check function has to complete */
+  withTimeout,
+  /** Re-run a check function until it passes or times out */
+  eventually,
+  /** Run a group of check functions at the same time */
+  runParallel,
+  /** Advance the clock of the verification */
+  advance,
   /** Create a function to run at the end of verification */
   runFinally,
+  /** Set up a fixture that's torn down at the end of verification */
+  useFixture,
   /** Create a deferred object for handling async operations */
-  runDefer
+  runDefer,
+  /** Wait for an emitter to emit a sequence of events */
+  expectEvents,
+  /** Fail if an emitter emits an event within a time window */
+  runNever,
+  /** Create a spy function that records its calls */
+  runSpy,
+  /** Verify the result matches its snapshot */
+  matchSnapshot,
+  /** Verify the result is strictly equal to a value */
+  verifyEqual,
+  /** Verify the result is deeply equal to a value */
+  verifyDeepEqual,
+  /** Verify the result has the keys and values of a partial object */
+  verifyMatch,
+  /** Verify the type of the result */
+  verifyType,
+  /** Verify the length of the result */
+  verifyLength,
+  /** Read a stream into a Buffer or string */
+  readStream,
+  /** Wait for a stream to end or finish */
+  expectStreamEnds,
+  /** Wait for a stream to output lines in order */
+  expectLines,
+  /** Run a child process and verify its exit */
+  runProcess,
+  /** Wait for a line of the output of a process in background */
+  expectOutput
 };
@@ -0,0 +1,220 @@
+"use strict";
+
+/* eslint-disable no-magic-numbers */
+
+const { spawn } = require("child_process");
+const { useFixture } = require("./fixture");
+const { errorMsg, unrefTimer } = require("./util");
+const { VERIFY_CONTEXT } = require("./symbols");
+
+// max length of the output in error messages
+const MAX_OUTPUT = 500;
+
+const tail = output => (output.length > MAX_OUTPUT ? `...${output.slice(-MAX_OUTPUT)}` : output);
+
+/**
+ * Stops a process that's still running, with SIGTERM, then SIGKILL if it doesn't exit in time
+ * @param {Object} proc - The process from runProcess
+ * @param {number} killTimeout - Time to wait for the process to exit after SIGTERM
+ * @returns {Promise|undefined} Promise that resolves when the process exited
+ */
+const stopProcess = (proc, killTimeout) => {
+  if (proc.exited) {
+    return undefined;
+  }
+  return new Promise(resolve => {
+    const timer = unrefTimer(setTimeout(() => proc.child.kill("SIGKILL"), killTimeout));
+    proc.child.once("close", () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    proc.child.kill();
+  });
+};
+
+/**
+ * Creates a check function that runs a process
+ * @param {string} cmd - The command
+ * @param {string[]} [args] - The arguments
+ * @param {Object} [options] - Options
+ * @param {number} [options.expectExitCode] - Fail if the process exits with another code
+ * @param {number} [options.timeout] - Stop the process like the teardown does, and fail if it
+ * runs longer
+ * @param {Object} [options.env] - Env variables to add to the env of the process
+ * @param {string} [options.cwd] - Working directory of the process
+ * @param {boolean} [options.background] - Pass the running process to the next check function
+ * instead of waiting for it to exit
+ * @param {number} [options.killTimeout] - Time to wait after SIGTERM before SIGKILL, default 2000
+ * @returns {Function} Check function that passes { stdout, stderr, code, signal } to the next
+ * check function, or the running process in background
+ */
+const runProcess = (cmd, args = [], options = {}) => {
+  const errorFromCall = new Error();
+  /* istanbul ignore next */
+  if (Error.captureStackTrace) {
+    /* istanbul ignore next */
+    Error.captureStackTrace(errorFromCall, runProcess);
+  }
+
+  const { expectExitCode, timeout, env, cwd, background, killTimeout = 2000 } = options;
+  const command = [cmd].concat(args).join(" ");
+
+  const startProcess = () => {
+    const child = spawn(cmd, args, { cwd, env: env && Object.assign({}, process.env, env) });
+    const proc = { child, stdout: "", stderr: "", code: null, signal: null, exited: false };
+    let timer;
+
+    child.stdout.setEncoding("utf8");
+    child.stderr.setEncoding("utf8");
+    child.stdout.on("data", data => (proc.stdout += data));
+    child.stderr.on("data", data => (proc.stderr += data));
+
+    const exit = new Promise(resolve => {
+      child.on("error", err => {
+        proc.error = err;
+        proc.exited = true;
+        resolve();
+      });
+      child.on("close", (code, signal) => {
+        clearTimeout(timer);
+        proc.code = code;
+        proc.signal = signal;
+        proc.exited = true;
+        resolve();
+      });
+    });
+
+    if (timeout > 0) {
+      timer = unrefTimer(
+        setTimeout(() => {
+          proc.error = errorMsg(
+            errorFromCall,
+            `runProcess: '${command}' timeout after ${timeout}ms`
+          );
+          stopProcess(proc, killTimeout);
+        }, timeout)
+      );
+    }
+
+    proc.wait = () => {
+      return exit.then(() => {
+        const { stdout, stderr, code, signal } = proc;
+        const result = { stdout, stderr, code, signal };
+        if (proc.error) {
+          proc.error.result = result;
+          throw proc.error;
+        }
+        if (expectExitCode !== undefined && proc.code !== expectExitCode) {
+          throw Object.assign(
+            errorMsg(
+              errorFromCall,
+              `runProcess: '${command}' exited with code ${proc.code}, expected ${expectExitCode}
+stderr: ${tail(proc.stderr)}`
+            ),
+            { result }
+          );
+        }
+        return result;
+      });
+    };
+
+    return proc;
+  };
+
+  const fixture = useFixture(startProcess, proc => stopProcess(proc, killTimeout));
+
+  /**
+   * Starts the process and waits for it to exit, unless it's in background
+   * @this {VerifyContext}
+   * @returns {*} The process in background, or a promise of its result
+   */
+  function runProcessCheck() {
+    const proc = fixture.call(this);
+    return background ? proc : proc.wait();
+  }
+
+  runProcessCheck[VERIFY_CONTEXT] = false;
+
+  return runProcessCheck;
+};
+
+/**
+ * Creates a check function that waits for a line of the output of a process to match
+ * @param {RegExp} regex - The regex to match a line with
+ * @param {Object} [options] - Options
+ * @param {string} [options.stream] - "stdout" (default) or "stderr"
+ * @param {number} [options.timeout] - Fail if no line matches in time
+ * @returns {Function} Check function that takes the process from runProcess in background,
+ * and passes it to the next check function, with the match in match
+ */
+const expectOutput = (regex, { stream = "stdout", timeout } = {}) => {
+  const errorFromCall = new Error();
+  /* istanbul ignore next */
+  if (Error.captureStackTrace) {
+    /* istanbul ignore next */
+    Error.captureStackTrace(errorFromCall, expectOutput);
+  }
+
+  function expectOutputCheck(proc) {
+    return new Promise((resolve, reject) => {
+      let timer;
+      const output = proc.child[stream];
+      const listeners = [];
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        listeners.forEach(([emitter, name, listener]) => emitter.removeListener(name, listener));
+      };
+
+      const fail = reason => {
+        cleanup();
+        reject(
+          errorMsg(
+            errorFromCall,
+            `expectOutput: no line of ${stream} matches ${regex} - ${reason}
+${stream}: ${tail(proc[stream])}`
+          )
+        );
+      };
+
+      const check = () => {
+        const match = proc[stream]
+          .split("\n")
+          .map(line => line.match(regex))
+          .find(x => x);
+        if (match) {
+          cleanup();
+          proc.match = match;
+          resolve(proc);
+        } else if (proc.exited) {
+          fail("process exited");
+        }
+      };
+
+      const listen = (emitter, name, listener) => {
+        listeners.push([emitter, name, listener]);
+        emitter.on(name, listener);
+      };
+
+      // listen after the output of the process, so check sees the new data
+      listen(output, "data", check);
+      listen(proc.child, "close", () => check());
+
+      if (timeout > 0) {
+        timer = unrefTimer(setTimeout(() => fail(`timeout after ${timeout}ms`), timeout));
+      }
+
+      check();
+    });
+  }
+
+  expectOutputCheck[VERIFY_CONTEXT] = false;
+  expectOutputCheck.verifyKind = "result";
+
+  return expectOutputCheck;
+};
+
+module.exports = {
+  runProcess,
+  expectOutput
+};
@@ -0,0 +1,158 @@
+"use strict";
+
+/* eslint-disable no-magic-numbers */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { diffLines } = require("./diff");
+const { VERIFY_CONTEXT } = require("./symbols");
+
+const SNAPSHOT_DIR = "__verify_snapshots__";
+
+// snapshot files that have been read, by their path
+const snapshotFiles = new Map();
+
+// number of snapshots without a name created in each test file, by its path
+const unnamedCounts = new Map();
+
+/**
+ * Finds the file of the code that called run-verify
+ * @returns {Object} { file } of the call site
+ */
+const findCallSite = () => {
+  const save = Error.prepareStackTrace;
+  Error.prepareStackTrace = (_, frames) => frames;
+  const frames = new Error().stack;
+  Error.prepareStackTrace = save;
+
+  const frame = frames.find(f => {
+    const file = f.getFileName();
+    return file && !file.startsWith(__dirname) && !file.startsWith("node:");
+  });
+
+  /* istanbul ignore next */
+  if (!frame) {
+    /* istanbul ignore next */
+    return { file: path.join(process.cwd(), "unknown") };
+  }
+
+  return { file: frame.getFileName() };
+};
+
+/**
+ * Serializes a value for a snapshot
+ * @param {*} value - The value
+ * @returns {string} The serialized value, with object keys sorted
+ */
+const serialize = value => {
+  return util.inspect(value, {
+    depth: Infinity,
+    sorted: true,
+    compact: false,
+    breakLength: Infinity,
+    maxArrayLength: Infinity,
+    maxStringLength: Infinity
+  });
+};
+
+const readSnapshots = file => {
+  if (!snapshotFiles.has(file)) {
+    snapshotFiles.set(file, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {});
+  }
+  return snapshotFiles.get(file);
+};
+
+const writeSnapshots = (file, snapshots) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const sorted = {};
+  Object.keys(snapshots)
+    .sort()
+    .forEach(key => (sorted[key] = snapshots[key]));
+  fs.writeFileSync(file, `${JSON.stringify(sorted, null, 2)}\n`);
+};
+
+/**
+ * Gets the key of the next snapshot without a name in a test file
+ * @param {string} file - Path of the test file
+ * @returns {string} The test file's name and the count of the snapshots without a name in it
+ */
+const unnamedKey = file => {
+  const count = (unnamedCounts.get(file) || 0) + 1;
+  unnamedCounts.set(file, count);
+  return `${path.basename(file)} ${count}`;
+};
+
+/**
+ * Creates a check function that verifies the previous result matches its snapshot.
+ *
+ * The snapshots of a test file are saved in __verify_snapshots__/<test file>.snap.json,
+ * next to the test file. A missing snapshot is saved on the first run, unless the env CI
+ * is set. Set the env RUN_VERIFY_UPDATE_SNAPSHOTS=1 to update the snapshots that don't match.
+ *
+ * A snapshot without a name is named by the test file and the count of the snapshots without
+ * a name created in the file so far, ie: "my.spec.js 1".
+ *
+ * @param {string} [name] - Name of the snapshot, unique in the test file
+ * @param {Object} [options] - options
+ * @param {string} [options.dir] - Directory to save the snapshots in
+ * @returns {Function} Check function that passes the result to the next check function
+ */
+const matchSnapshot = (name, options = {}) => {
+  assert(
+    name === undefined || (name && typeof name === "string"),
+    "matchSnapshot: the name of the snapshot must be a non-empty string"
+  );
+
+  const callSite = findCallSite();
+  const key = name === undefined ? unnamedKey(callSite.file) : name;
+  const dir = options.dir || path.join(path.dirname(callSite.file), SNAPSHOT_DIR);
+  const file = path.join(dir, `${path.basename(callSite.file)}.snap.json`);
+
+  function matchSnapshotCheck(result) {
+    const snapshots = readSnapshots(file);
+    const actual = serialize(result);
+    const expected = snapshots[key];
+
+    if (expected === undefined && process.env.CI && !process.env.RUN_VERIFY_UPDATE_SNAPSHOTS) {
+      throw new assert.AssertionError({
+        message: `matchSnapshot: snapshot '${key}' is missing in ${file}, and it's not saved \
+when env CI is set`,
+        actual,
+        expected,
+        operator: "matchSnapshot"
+      });
+    } else if (expected === undefined || process.env.RUN_VERIFY_UPDATE_SNAPSHOTS) {
+      if (expected !== actual) {
+        snapshots[key] = actual;
+        writeSnapshots(file, snapshots);
+      }
+    } else if (expected !== actual) {
+      throw new assert.AssertionError({
+        message: `matchSnapshot: snapshot '${key}' in ${file} doesn't match
+- snapshot
++ received
+
+${diffLines(expected, actual)}
+
+Set env RUN_VERIFY_UPDATE_SNAPSHOTS=1 to update the snapshot.`,
+        actual,
+        expected,
+        operator: "matchSnapshot"
+      });
+    }
+
+    return result;
+  }
+
+  matchSnapshotCheck[VERIFY_CONTEXT] = false;
+  matchSnapshotCheck.verifyKind = "result";
+
+  return matchSnapshotCheck;
+};
+
+module.exports = {
+  matchSnapshot,
+  serialize
+};
@@ -5,11 +5,15 @@ const IS_FINALLY = Symbol("isFinally");
 const DEFER_EVENT = Symbol("defer_event");
 const DEFER_WAIT = Symbol("defer_wait");
 const DEFER_OBJ = Symbol("defer_obj");
+const DEFER_DETAIL = Symbol("defer_detail");
+const VERIFY_CONTEXT = Symbol("verify_context");
 
 module.exports = {
   WRAPPED_FN,
   IS_FINALLY,
   DEFER_EVENT,
   DEFER_WAIT,
-  DEFER_OBJ
+  DEFER_OBJ,
+  DEFER_DETAIL,
+  VERIFY_CONTEXT
 };
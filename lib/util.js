@@ -0,0 +1,61 @@
+"use strict";
+
+/* global AggregateError */
+
+const { WRAPPED_FN, DEFER_EVENT } = require("./symbols");
+
+/**
+ * Checks if an argument to runVerify is an options object instead of a check function
+ * @param {*} x - The argument
+ * @returns {boolean} true if it's an options object
+ */
+const isVerifyOptions = x =>
+  Boolean(x) &&
+  Object.getPrototypeOf(x) === Object.prototype &&
+  !x.hasOwnProperty(WRAPPED_FN) &&
+  !x[DEFER_EVENT];
+
+/**
+ * Creates an error for multiple errors, an AggregateError if it's supported
+ * @param {Error[]} errors - The errors
+ * @param {string} message - The error message
+ * @returns {Error} An error with the errors
+ */
+const createAggregateError = (errors, message) => {
+  /* istanbul ignore next */
+  if (typeof AggregateError !== "function") {
+    /* istanbul ignore next */
+    return Object.assign(new Error(message), { errors });
+  }
+  return new AggregateError(errors, message);
+};
+
+/**
+ * Sets the message of an error, like the error created at the call site of a verification
+ * @param {Error} error - The error
+ * @param {string} message - The message
+ * @returns {Error} The error
+ */
+const errorMsg = (error, message) => {
+  error.message = message;
+  return error;
+};
+
+/**
+ * Unrefs a timer so it doesn't keep the process running
+ * @param {*} timer - The timer
+ * @returns {*} The timer
+ */
+const unrefTimer = timer => {
+  if (timer && timer.unref) {
+    timer.unref();
+  }
+  return timer;
+};
+
+module.exports = {
+  isVerifyOptions,
+  errorMsg,
+  unrefTimer,
+  createAggregateError
+};
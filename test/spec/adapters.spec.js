@@ -0,0 +1,216 @@
+"use strict";
+
+const { createVerifyIt, verifyIt } = require("../../adapters");
+const { runDefer, runTimeout, step } = require("../..");
+
+describe("adapters", function () {
+  describe("verifyIt with mocha", function () {
+    verifyIt(
+      "should run check functions with asyncVerify",
+      () => "hello",
+      r => expect(r).to.equal("hello")
+    );
+
+    verifyIt(
+      "should take an options object",
+      { plugins: [] },
+      step("one", () => 1)
+    );
+  });
+
+  describe("createVerifyIt", function () {
+    const fakeIt = (runner, context) => {
+      const calls = [];
+      const it = (...args) => {
+        calls.push(args);
+        return args;
+      };
+      const run = () => {
+        const args = calls[0];
+        return runner === "node:test" ? args[2](context) : args[1].call(context);
+      };
+      return { it, calls, run };
+    };
+
+    it("should arm a runTimeout from mocha's test timeout", () => {
+      const fake = fakeIt("mocha", { timeout: () => 50 });
+      createVerifyIt(fake.it)("x", next => setTimeout(next, 200));
+      return fake.run().then(
+        () => {
+          throw new Error("expected failure");
+        },
+        err => {
+          expect(err.message).contains("test timeout after 30ms");
+        }
+      );
+    });
+
+    it("should not arm a runTimeout if the chain has one", () => {
+      const fake = fakeIt("mocha", { timeout: () => 50 });
+      createVerifyIt(fake.it)("x", runTimeout(100), next => setTimeout(next, 60));
+      return fake.run();
+    });
+
+    it("should add the steps to the error on failure", () => {
+      const fake = fakeIt("mocha", { timeout: () => 0 });
+      createVerifyIt(fake.it)(
+        "x",
+        step("setup", () => 1),
+        step("check", () => {
+          throw new Error("oops");
+        })
+      );
+      return fake.run().then(
+        () => {
+          throw new Error("expected failure");
+        },
+        err => {
+          expect(err.message).contains("oops");
+          expect(err.message).contains("steps:\n  passed: setup (sync,");
+          expect(err.message).contains("\n  failed: check (sync,");
+        }
+      );
+    });
+
+    it("should list a step stopped by a failure from elsewhere", () => {
+      const fake = fakeIt("mocha", { timeout: () => 0 });
+      const defer = runDefer();
+      createVerifyIt(fake.it)(
+        "x",
+        defer,
+        step("slow", next => {
+          defer.reject(new Error("defer boom"));
+          setTimeout(next, 50);
+        })
+      );
+      return fake.run().then(
+        () => {
+          throw new Error("expected failure");
+        },
+        err => {
+          expect(err.message).contains("defer boom\nsteps:\n  stopped: slow (callback,");
+        }
+      );
+    });
+
+    it("should keep the error message if no step ran", () => {
+      const fake = fakeIt("mocha", { timeout: () => 0 });
+      createVerifyIt(fake.it)("x", "not a function");
+      return fake.run().then(
+        () => {
+          throw new Error("expected failure");
+        },
+        err => {
+          expect(err.message).to.equal("runVerify param 0 is not a function: type string");
+        }
+      );
+    });
+
+    it("should pass the timeout to jest's it", () => {
+      const fake = fakeIt("jest");
+      createVerifyIt(fake.it, { runner: "jest", timeout: 500 })("x", () => 1);
+      expect(fake.calls[0][0]).to.equal("x");
+      expect(fake.calls[0][2]).to.equal(500);
+      return fake.run();
+    });
+
+    it("should use jest's global it when running in jest", () => {
+      const saveIt = global.it;
+      const fake = fakeIt("jest");
+      process.env.JEST_WORKER_ID = "1";
+      global.it = fake.it;
+      try {
+        verifyIt("x", () => 1);
+      } finally {
+        global.it = saveIt;
+        delete process.env.JEST_WORKER_ID;
+      }
+      expect(fake.calls[0][0]).to.equal("x");
+      return fake.run();
+    });
+
+    it("should report steps with t.test for node:test", () => {
+      const subTests = [];
+      const t = {
+        test: (label, fn) => {
+          try {
+            fn();
+            subTests.push({ label, passed: true });
+          } catch (err) {
+            subTests.push({ label, err });
+          }
+          return Promise.resolve();
+        }
+      };
+      const fake = fakeIt("node:test", t);
+      createVerifyIt(fake.it, { runner: "node:test", timeout: 1000 })(
+        "x",
+        step("one", () => 1),
+        step("two", () => {
+          throw new Error("oops");
+        })
+      );
+      expect(fake.calls[0][1]).to.deep.equal({ timeout: 1000 });
+      // the failed sub test reports the error, so the test doesn't throw it again
+      return fake.run().then(() => {
+        expect(subTests[0]).to.deep.equal({ label: "one", passed: true });
+        expect(subTests[1].label).to.equal("two");
+        expect(subTests[1].err.message).contains("oops");
+      });
+    });
+
+    it("should fail for node:test with an error that no step reported", () => {
+      const labels = [];
+      const t = { test: label => labels.push(label) };
+      const fake = fakeIt("node:test", t);
+      createVerifyIt(fake.it, { runner: "node:test" })("x", "not a function");
+      return fake.run().then(
+        () => {
+          throw new Error("expected failure");
+        },
+        err => {
+          expect(err.message).to.equal("runVerify param 0 is not a function: type string");
+          expect(labels).to.deep.equal([]);
+        }
+      );
+    });
+
+    it("should leave out a step stopped by a failure from elsewhere for node:test", () => {
+      const labels = [];
+      const t = { test: label => labels.push(label) };
+      const fake = fakeIt("node:test", t);
+      const defer = runDefer();
+      createVerifyIt(fake.it, { runner: "node:test" })(
+        "x",
+        defer,
+        step("one", () => 1),
+        step("slow", next => {
+          defer.reject(new Error("defer boom"));
+          setTimeout(next, 50);
+        })
+      );
+      return fake.run().then(
+        () => {
+          throw new Error("expected failure");
+        },
+        err => {
+          expect(err.message).to.equal("defer boom");
+          expect(labels).to.deep.equal(["one"]);
+        }
+      );
+    });
+
+    it("should pass for node:test when all steps pass", () => {
+      const labels = [];
+      const t = { test: label => labels.push(label) };
+      const fake = fakeIt("node:test", t);
+      createVerifyIt(fake.it, { runner: "node:test" })(
+        "x",
+        step("one", () => 1)
+      );
+      return fake.run().then(() => {
+        expect(labels).to.deep.equal(["one"]);
+      });
+    });
+  });
+});
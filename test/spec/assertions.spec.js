@@ -0,0 +1,180 @@
+"use strict";
+
+const {
+  asyncVerify,
+  verifyWithContext,
+  expectError,
+  step,
+  verifyEqual,
+  verifyDeepEqual,
+  verifyMatch,
+  verifyType,
+  verifyLength
+} = require("../..");
+
+describe("assertions", function () {
+  it("should pass the result on if the checks pass", () => {
+    return asyncVerify(
+      () => ({ a: [1, 2], b: { c: "x" } }),
+      verifyDeepEqual({ a: [1, 2], b: { c: "x" } }),
+      verifyMatch({ b: { c: "x" } }),
+      verifyType("object"),
+      r => r.a,
+      verifyType("array"),
+      verifyLength(2),
+      r => r[0],
+      verifyEqual(1),
+      verifyType("number"),
+      () => null,
+      verifyType("null"),
+      () => new Set([1, 2, 3]),
+      verifyLength(3)
+    );
+  });
+
+  it("should declare the result as the param of the checks for strict mode", () => {
+    return asyncVerify(
+      { strict: true },
+      () => 1,
+      verifyEqual(1),
+      () => [1],
+      verifyDeepEqual([1]),
+      verifyMatch([1]),
+      verifyType("array"),
+      verifyLength(1)
+    );
+  });
+
+  it("should pass the result to the checks in context mode", () => {
+    return verifyWithContext(
+      () => 1,
+      verifyEqual(1),
+      () => ({ a: [1], b: 2 }),
+      verifyDeepEqual({ a: [1], b: 2 }),
+      verifyMatch({ a: [1] })
+    );
+  });
+
+  it("should fail verifyEqual with the values", () => {
+    return asyncVerify(
+      () => 2,
+      expectError(verifyEqual(1)),
+      err => {
+        expect(err.name).to.equal("AssertionError");
+        expect(err.message).to.equal(
+          "verifyEqual: expected values to be strictly equal\n  value: expected 1 but got 2"
+        );
+        expect(err.expected).to.equal(1);
+        expect(err.actual).to.equal(2);
+        expect(err.diff).to.deep.equal([
+          { path: "value", kind: "changed", expected: 1, actual: 2 }
+        ]);
+      }
+    );
+  });
+
+  it("should fail verifyDeepEqual with the differences", () => {
+    return asyncVerify(
+      () => ({ a: [1, 3], c: true }),
+      expectError(verifyDeepEqual({ a: [1, 2, 4], b: "x" })),
+      err => {
+        expect(err.message).to.equal(
+          `verifyDeepEqual: expected values to be deeply equal
+  value.a[1]: expected 2 but got 3
+  value.a[2]: missing, expected 4
+  value.b: missing, expected 'x'
+  value.c: unexpected true`
+        );
+        expect(err.diff.map(x => x.kind)).to.deep.equal(["changed", "missing", "missing", "extra"]);
+      }
+    );
+  });
+
+  it("should fail verifyDeepEqual for maps, sets, and boxed primitives that differ", () => {
+    return asyncVerify(
+      () => new Map([["a", { b: 1 }]]),
+      verifyDeepEqual(new Map([["a", { b: 1 }]])),
+      () => new Map(),
+      expectError(verifyDeepEqual(new Map([["a", 1]]))),
+      err => {
+        expect(err.message).to.equal(
+          "verifyDeepEqual: expected values to be deeply equal\n  value.get('a'): missing, expected 1"
+        );
+      },
+      () => new Set([3]),
+      expectError(verifyDeepEqual(new Set([1, 2]))),
+      err => {
+        expect(err.diff.map(x => x.kind)).to.deep.equal(["missing", "missing", "extra"]);
+      },
+      () => Object(2),
+      expectError(verifyDeepEqual(Object(1))),
+      err => {
+        expect(err.message).to.contain("value: expected [Number: 1] but got [Number: 2]");
+      }
+    );
+  });
+
+  it("should fail verifyMatch only for the keys of the partial object", () => {
+    return asyncVerify(
+      () => ({ a: { b: 1, c: 2 }, d: 3 }),
+      expectError(verifyMatch({ a: { b: 2 } })),
+      err => {
+        expect(err.message).to.equal(
+          "verifyMatch: expected value to match\n  value.a.b: expected 2 but got 1"
+        );
+      }
+    );
+  });
+
+  it("should fail verifyType with the type of the result", () => {
+    return asyncVerify(
+      () => [],
+      expectError(verifyType("string")),
+      err => {
+        expect(err.message).to.equal(
+          "verifyType: expected value to be of type 'string'\n  value: expected 'string' but got 'array'"
+        );
+      }
+    );
+  });
+
+  it("should fail verifyLength with the length of the result", () => {
+    return asyncVerify(
+      () => "abc",
+      expectError(verifyLength(2)),
+      err => {
+        expect(err.message).contains("value.length: expected 2 but got 3");
+      },
+      () => new Map(),
+      expectError(verifyLength(1)),
+      err => {
+        expect(err.message).contains("value.size: expected 1 but got 0");
+      },
+      () => undefined,
+      expectError(verifyLength(1)),
+      err => {
+        expect(err.message).contains("value.length: expected 1 but got undefined");
+      },
+      () => null,
+      expectError(verifyLength(0)),
+      err => {
+        expect(err.message).contains("value.length: expected 0 but got null");
+      }
+    );
+  });
+
+  it("should have the step label in the error", () => {
+    return asyncVerify(
+      expectError(() => asyncVerify(() => 2, step("status", verifyEqual(1)))),
+      err => {
+        expect(err.message).contains(
+          "runVerify step 'status' (check function number 1) failed: verifyEqual:"
+        );
+      },
+      expectError(() => asyncVerify(() => 2, verifyEqual(1))),
+      err => {
+        expect(err.verifyTrace[1].label).to.equal("verifyEqual");
+      }
+    );
+  });
+});
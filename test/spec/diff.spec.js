@@ -0,0 +1,128 @@
+"use strict";
+
+const qs = require("querystring");
+const { diffLines, deepDiff, formatDiff } = require("../../lib/diff");
+
+describe("diffLines", function () {
+  it("should mark removed, added, and unchanged lines", () => {
+    expect(diffLines("a\nb\nc", "a\nx\nc\nd")).to.equal("  a\n- b\n+ x\n  c\n+ d");
+  });
+
+  it("should collapse unchanged lines away from changes", () => {
+    const expected = "1\n2\n3\n4\n5\n6\n7\n8\n9\n10\n11\n12";
+    const actual = "1\n2\n3\n4\n5\n6x\n7\n8\n9\n10\n11\n12";
+    expect(diffLines(expected, actual)).to.equal(
+      ["  ...", "  3", "  4", "  5", "- 6", "+ 6x", "  7", "  8", "  9", "  ..."].join("\n")
+    );
+  });
+
+  it("should handle lines only removed", () => {
+    expect(diffLines("a\nb", "a")).to.equal("  a\n- b");
+  });
+});
+
+describe("deepDiff", function () {
+  it("should return no differences for deeply equal values", () => {
+    const date = new Date(0);
+    expect(
+      deepDiff(
+        { a: [1, { b: NaN }], d: new Date(0), r: /x/ },
+        { a: [1, { b: NaN }], d: date, r: /x/ }
+      )
+    ).to.deep.equal([]);
+  });
+
+  it("should find the differences with their paths", () => {
+    expect(deepDiff({ a: [1], b: { c: 1 } }, { a: { 0: 1 }, b: { c: "1" }, d: 1 })).to.deep.equal([
+      { path: "value.a", kind: "changed", expected: [1], actual: { 0: 1 } },
+      { path: "value.b.c", kind: "changed", expected: 1, actual: "1" },
+      { path: "value.d", kind: "extra", actual: 1 }
+    ]);
+  });
+
+  it("should compare dates, regexps, and classes", () => {
+    class Foo {}
+    expect(deepDiff(new Date(0), new Date(1))).to.have.length(1);
+    expect(deepDiff(/x/, /y/)).to.have.length(1);
+    expect(deepDiff(new Foo(), {})).to.have.length(1);
+    expect(deepDiff(new Foo(), {}, { partial: true })).to.deep.equal([]);
+    expect(deepDiff(new Date(0), {}, { partial: true })).to.have.length(1);
+  });
+
+  it("should compare the entries of maps", () => {
+    const key = {};
+    expect(deepDiff(new Map([[key, { a: 1 }]]), new Map([[key, { a: 1 }]]))).to.deep.equal([]);
+    expect(deepDiff(new Map([["a", 1]]), new Map())).to.deep.equal([
+      { path: "value.get('a')", kind: "missing", expected: 1 }
+    ]);
+    expect(deepDiff(new Map([["a", 1]]), new Map([["a", 2]]))).to.deep.equal([
+      { path: "value.get('a')", kind: "changed", expected: 1, actual: 2 }
+    ]);
+    expect(deepDiff(new Map(), new Map([["b", 2]]))).to.deep.equal([
+      { path: "value.get('b')", kind: "extra", actual: 2 }
+    ]);
+    expect(deepDiff(new Map(), new Map([["b", 2]]), { partial: true })).to.deep.equal([]);
+    expect(deepDiff(new Map(), {}, { partial: true })).to.have.length(1);
+  });
+
+  it("should compare the members of sets", () => {
+    expect(deepDiff(new Set([1, { a: 1 }]), new Set([{ a: 1 }, 1]))).to.deep.equal([]);
+    expect(deepDiff(new Set([1, 2]), new Set([3]))).to.deep.equal([
+      { path: "value", kind: "missing", expected: 1 },
+      { path: "value", kind: "missing", expected: 2 },
+      { path: "value", kind: "extra", actual: 3 }
+    ]);
+    expect(deepDiff(new Set([{ a: 1 }]), new Set([{ a: 2 }])).map(x => x.kind)).to.deep.equal([
+      "missing",
+      "extra"
+    ]);
+    expect(deepDiff(new Set([1]), new Set([1, 2]), { partial: true })).to.deep.equal([]);
+    expect(deepDiff(new Set(), [], { partial: true })).to.have.length(1);
+  });
+
+  it("should compare boxed primitives by their values", () => {
+    expect(deepDiff(Object(1), Object(1))).to.deep.equal([]);
+    expect(deepDiff(Object(1), Object(2))).to.have.length(1);
+    expect(deepDiff(Object("a"), Object("b"))).to.have.length(1);
+    expect(deepDiff(Object(true), Object(false))).to.have.length(1);
+    expect(deepDiff(Object(1), {}, { partial: true })).to.have.length(1);
+  });
+
+  it("should compare objects without a prototype", () => {
+    expect(deepDiff({ a: "1" }, qs.parse("a=1&b=2"), { partial: true })).to.deep.equal([]);
+    expect(deepDiff(qs.parse("a=1&c=3"), qs.parse("a=2&b=2"))).to.deep.equal([
+      { path: "value.a", kind: "changed", expected: "1", actual: "2" },
+      { path: "value.c", kind: "missing", expected: "3" },
+      { path: "value.b", kind: "extra", actual: "2" }
+    ]);
+  });
+
+  it("should only compare the keys of expected objects for partial", () => {
+    expect(deepDiff({ a: 1 }, { a: 1, b: 2 }, { partial: true })).to.deep.equal([]);
+    expect(deepDiff([1], [1, 2], { partial: true, path: "x" })).to.deep.equal([
+      { path: "x[1]", kind: "extra", actual: 2 }
+    ]);
+  });
+
+  it("should not recurse into circular references", () => {
+    const a = { x: 1 };
+    a.self = a;
+    const b = { x: 1 };
+    b.self = b;
+    expect(deepDiff(a, b)).to.deep.equal([]);
+    b.x = 2;
+    expect(deepDiff(a, b).map(x => x.path)).to.deep.equal(["value.x"]);
+  });
+});
+
+describe("formatDiff", function () {
+  it("should format each kind of difference", () => {
+    expect(
+      formatDiff([
+        { path: "a", kind: "changed", expected: 1, actual: 2 },
+        { path: "b", kind: "missing", expected: "x" },
+        { path: "c", kind: "extra", actual: [1] }
+      ])
+    ).to.equal("  a: expected 1 but got 2\n  b: missing, expected 'x'\n  c: unexpected [ 1 ]");
+  });
+});
@@ -0,0 +1,160 @@
+"use strict";
+
+const http = require("http");
+const { asyncVerify, verifyWithContext, expectError } = require("../..");
+const { startServer, httpRequest, expectStatus, expectJson } = require("../../http");
+
+const handler = (req, res) => {
+  const chunks = [];
+  req.on("data", chunk => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString();
+    if (req.url === "/echo") {
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify({ method: req.method, headers: req.headers, body }));
+    } else if (req.url === "/bad-json") {
+      res.setHeader("content-type", "application/json");
+      res.end("{");
+    } else if (req.url === "/slow") {
+      setTimeout(() => res.end("slow"), 500);
+    } else {
+      res.statusCode = 404;
+      res.end(`not found ${"x".repeat(300)}`);
+    }
+  });
+};
+
+describe("http", function () {
+  it("should start a server and send requests to it", () => {
+    let url;
+    return asyncVerify(
+      startServer(handler),
+      u => {
+        url = u;
+        expect(u).to.match(/^http:\/\/127\.0\.0\.1:\d+$/);
+        return u;
+      },
+      httpRequest({ method: "POST", url: "/echo", body: { a: 1 }, headers: { "x-test": "1" } }),
+      expectStatus(200),
+      expectJson({
+        method: "POST",
+        headers: { "content-type": "application/json", "x-test": "1" }
+      }),
+      r => {
+        expect(r.json.body).to.equal(JSON.stringify({ a: 1 }));
+        expect(r.headers["content-type"]).to.equal("application/json");
+        expect(r.url).to.equal(`${url}/echo`);
+        return r;
+      },
+      // relative to the URL of the previous response
+      httpRequest({ method: "PUT", url: "/echo", body: "text" }),
+      expectJson({ method: "PUT", body: "text" })
+    ).then(() => {
+      // the server is closed when the verification is done
+      return asyncVerify(expectError(httpRequest({ url: `${url}/echo` })), err => {
+        expect(err.code).to.equal("ECONNREFUSED");
+      });
+    });
+  });
+
+  it("should run the check functions in strict mode", () => {
+    return asyncVerify(
+      { strict: true },
+      startServer(handler),
+      httpRequest({ url: "/echo" }),
+      expectStatus(200),
+      expectJson({ method: "GET" })
+    );
+  });
+
+  it("should pass the results to the check functions in context mode", () => {
+    return verifyWithContext(
+      startServer(handler),
+      httpRequest({ url: "/echo" }),
+      expectStatus(200),
+      expectJson({ method: "GET" })
+    );
+  });
+
+  it("should pass a body that's not JSON", () => {
+    return asyncVerify(
+      startServer(handler),
+      httpRequest({ url: "/other", body: Buffer.from("x") }),
+      r => {
+        expect(r.status).to.equal(404);
+        expect(r.json).to.equal(undefined);
+        expect(r.body).to.match(/^not found/);
+      }
+    );
+  });
+
+  it("should send a request to an absolute URL", () => {
+    const server = http.createServer(handler);
+    return asyncVerify(
+      next => server.listen(0, "127.0.0.1", next),
+      () => `http://127.0.0.1:${server.address().port}/echo`,
+      url => httpRequest({ url })(),
+      expectJson({ method: "GET" }),
+      expectError(httpRequest({ url: "https://127.0.0.1:1/" })),
+      err => expect(err.code).to.equal("ECONNREFUSED"),
+      (r, next) => server.close(next)
+    );
+  });
+
+  it("should fail if the status is not expected", () => {
+    return asyncVerify(
+      startServer(handler),
+      httpRequest({ url: "/missing" }),
+      expectError(expectStatus(200)),
+      err => {
+        expect(err.name).to.equal("AssertionError");
+        expect(err.message).to.contain("expectStatus: expected status 200 but got 404");
+        expect(err.message).to.contain("xxx...");
+        expect(err.diff).to.deep.equal([
+          { path: "response.status", kind: "changed", expected: 200, actual: 404 }
+        ]);
+      }
+    );
+  });
+
+  it("should fail with the whole body if it's short", () => {
+    return asyncVerify(
+      startServer(handler),
+      httpRequest({ url: "/echo" }),
+      expectError(expectStatus(201)),
+      err => expect(err.message).to.match(/got 200 - body: \{.*\}\n/)
+    );
+  });
+
+  it("should fail if the JSON doesn't match", () => {
+    return asyncVerify(
+      startServer(handler),
+      httpRequest({ url: "/echo" }),
+      expectError(expectJson({ method: "POST" })),
+      err => {
+        expect(err.message).to.contain("expectJson: expected JSON to match");
+        expect(err.diff[0].path).to.equal("response.json.method");
+      }
+    );
+  });
+
+  it("should fail if the JSON response is invalid", () => {
+    return asyncVerify(startServer(handler), expectError(httpRequest({ url: "/bad-json" })), err =>
+      expect(err.message).to.contain("httpRequest: invalid JSON response")
+    );
+  });
+
+  it("should fail if the response times out", () => {
+    return asyncVerify(
+      startServer(handler),
+      expectError(httpRequest({ url: "/slow", timeout: 50 })),
+      err => expect(err.message).to.equal("httpRequest: timeout after 50ms")
+    );
+  });
+
+  it("should fail if the server can't listen", () => {
+    return asyncVerify(expectError(startServer(handler, { host: "256.0.0.1" })), err =>
+      expect(err.code).to.be.a("string")
+    );
+  });
+});
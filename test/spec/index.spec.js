@@ -1,21 +1,45 @@
 "use strict";
 
+/* global AbortController, AggregateError */
+
 const {
   runVerify,
   wrapVerify,
   asyncVerify,
   wrapAsyncVerify,
+  verifyWithContext,
+  genVerify,
   expectError,
   expectErrorHas,
   expectErrorToBe,
+  expectErrorMatches,
+  expectErrorInstanceOf,
+  expectErrorCode,
+  expectErrorWhere,
   onFailVerify,
   withCallback,
+  withResult,
   wrapCheck,
+  step,
   runTimeout,
+  withTimeout,
+  eventually,
+  runParallel,
+  advance,
   runFinally,
-  runDefer
+  useFixture,
+  runDefer,
+  expectEvents,
+  runNever,
+  runSpy,
+  readStream,
+  expectStreamEnds,
+  expectLines
 } = require("../..");
 
+const { EventEmitter } = require("events");
+const { PassThrough, Writable, Duplex } = require("stream");
+
 const { IS_FINALLY } = require("../../lib/symbols");
 
 const fooEvent = (delay, cb) => setTimeout(() => cb(null, "foo"), delay);
@@ -222,6 +246,21 @@ describe("runVerify", function () {
     );
   });
 
+  it("should run a non-arrow check func with no param", done => {
+    runVerify(
+      function () {
+        return "foo";
+      },
+      function check() {
+        return "bar";
+      },
+      data => {
+        expect(data).to.equal("bar");
+      },
+      done
+    );
+  });
+
   it("should pass callback to withCallback check func", done => {
     runVerify(
       withCallback(x => {
@@ -388,6 +427,504 @@ describe("runVerify", function () {
   });
 });
 
+describe("step", function () {
+  it("should attach a verifyTrace and name the failed step", () => {
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          step("load", next => fooEvent(1, next)),
+          wrapCheck(r => Promise.resolve(r)).name("echo"),
+          function check(r) {
+            return r;
+          },
+          step("login", () => {
+            throw new Error("bad password");
+          }),
+          () => "not reached"
+        )
+      ),
+      err => {
+        expect(err.message).equal(
+          "runVerify step 'login' (check function number 3) failed: bad password"
+        );
+        const trace = err.verifyTrace.map(({ index, label, kind, passed }) => ({
+          index,
+          label,
+          kind,
+          passed
+        }));
+        expect(trace).to.deep.equal([
+          { index: 0, label: "load", kind: "callback", passed: true },
+          { index: 1, label: "echo", kind: "async", passed: true },
+          { index: 2, label: "check", kind: "sync", passed: true },
+          { index: 3, label: "login", kind: "sync", passed: false }
+        ]);
+        err.verifyTrace.forEach(x => expect(x.time).to.be.a("number"));
+      }
+    );
+  });
+
+  it("should not fail the running step for a failure from elsewhere", () => {
+    const defer = runDefer();
+    const error = new Error("defer boom");
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          defer,
+          step("load", () => "x"),
+          step("slow", next => {
+            defer.reject(error);
+            setTimeout(next, 50);
+          })
+        )
+      ),
+      err => {
+        expect(err.message).equal("defer boom");
+        expect(error.message).equal("defer boom");
+        expect(err.verifyTrace[0]).to.include({ label: "load", passed: true });
+        expect(err.verifyTrace[1].label).equal("slow");
+        expect(err.verifyTrace[1].passed).equal(undefined);
+        expect(err.verifyTrace[1].time).to.be.a("number");
+      }
+    );
+  });
+
+  it("should keep message of unnamed failed step", () => {
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          () => "hello",
+          () => {
+            throw new Error("oops");
+          }
+        )
+      ),
+      err => {
+        expect(err.message).equal("oops");
+        expect(err.verifyTrace[1]).to.include({
+          index: 1,
+          label: "check function number 1",
+          passed: false
+        });
+      }
+    );
+  });
+
+  it("should handle non-error failures", () => {
+    return asyncVerify(
+      expectError(() => asyncVerify(step("reject", () => Promise.reject("oops")))),
+      err => {
+        expect(err).equal("oops");
+      },
+      expectError(() =>
+        asyncVerify(
+          step("throw", () => {
+            throw { code: "OOPS" }; // eslint-disable-line
+          })
+        )
+      ),
+      err => {
+        expect(err.code).equal("OOPS");
+        expect(err.verifyTrace[0]).to.include({ label: "throw", passed: false });
+      }
+    );
+  });
+});
+
+describe("withTimeout", function () {
+  it("should fail a check function that doesn't call next in time", () => {
+    let lateNext;
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          () => "hello",
+          withTimeout(20, next => {
+            lateNext = next;
+          }),
+          () => "not reached"
+        )
+      ),
+      err => {
+        expect(err.message).equal("runVerify: step 'check function number 1' timeout after 20ms");
+        expect(err.verifyTrace[1].passed).equal(false);
+        // late callbacks from the timed out step are ignored
+        lateNext(new Error("late"));
+        lateNext(null, "late");
+      }
+    );
+  });
+
+  it("should fail a named check function that doesn't resolve in time", () => {
+    return asyncVerify(
+      expectErrorToBe(
+        () =>
+          asyncVerify(
+            wrapCheck(() => new Promise(() => {}))
+              .stepTimeout(20)
+              .name("stuck")
+          ),
+        "runVerify: step 'stuck' timeout after 20ms"
+      )
+    );
+  });
+
+  it("should give each check function its own budget", () => {
+    const delay = next => setTimeout(next, 30);
+    return asyncVerify(
+      withTimeout(50, delay),
+      withTimeout(50, delay),
+      withTimeout(50, () => "hello"),
+      r => {
+        expect(r).equal("hello");
+      }
+    );
+  });
+
+  it("should ignore next called more than once", () => {
+    return asyncVerify(
+      withTimeout(50, next => {
+        next(null, 1);
+        next(null, 2);
+      }),
+      r => {
+        expect(r).equal(1);
+      }
+    );
+  });
+});
+
+describe("retry", function () {
+  it("should re-run a sync check function with the previous result", () => {
+    const received = [];
+    return asyncVerify(
+      () => "hello",
+      wrapCheck(r => {
+        received.push(r);
+        if (received.length < 3) {
+          throw new Error(`not yet ${received.length}`);
+        }
+        return `${r} world`;
+      }).retry({ times: 3 }),
+      r => {
+        expect(r).equal("hello world");
+        expect(received).to.deep.equal(["hello", "hello", "hello"]);
+      }
+    );
+  });
+
+  it("should re-run a callback check function with interval and backoff", () => {
+    const times = [];
+    return asyncVerify(
+      wrapCheck(next => {
+        times.push(Date.now());
+        // the second call from a failed attempt is ignored
+        next(times.length < 3 && new Error("not yet"));
+        next(null, "ignored");
+      }).retry({ times: 5, interval: 10, backoff: 2 }),
+      () => {
+        expect(times.length).equal(3);
+        expect(times[2] - times[1]).to.be.at.least(times[1] - times[0]);
+      }
+    );
+  });
+
+  it("should list the failure of every attempt", () => {
+    let count = 0;
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          wrapCheck(() => Promise.reject(new Error(`fail ${++count}`)))
+            .retry({ times: 3 })
+            .name("poll")
+        )
+      ),
+      err => {
+        expect(err.message).equal(`runVerify: step 'poll' failed after 3 attempts:
+  attempt 1: fail 1
+  attempt 2: fail 2
+  attempt 3: fail 3`);
+        expect(err.errors.length).equal(3);
+      }
+    );
+  });
+
+  it("should work with expectError", () => {
+    return asyncVerify(
+      expectErrorHas(() => {
+        throw "oops"; // eslint-disable-line
+      }, "attempt 2: oops").retry({ times: 2 })
+    );
+  });
+
+  it("should stop retrying when the step timed out", () => {
+    let count = 0;
+    return asyncVerify(
+      expectErrorHas(
+        () =>
+          asyncVerify(
+            withTimeout(20, next => {
+              count++;
+              setTimeout(() => next(new Error("slow")), 40);
+            }).retry({ times: 5 })
+          ),
+        "timeout after 20ms"
+      ),
+      next => setTimeout(next, 50),
+      () => {
+        expect(count).equal(1);
+      }
+    );
+  });
+});
+
+describe("eventually", function () {
+  it("should re-run a check function until it passes", () => {
+    let count = 0;
+    return asyncVerify(
+      eventually(() => ++count >= 3 || Promise.reject(new Error("not yet")), { interval: 5 }),
+      r => {
+        expect(r).equal(true);
+      }
+    );
+  });
+
+  it("should fail after the timeout", () => {
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          eventually(
+            () => {
+              throw new Error("never");
+            },
+            { timeout: 50, interval: 20 }
+          )
+        )
+      ),
+      err => {
+        // a slow machine may run fewer attempts, or hit the timer of the time window first
+        expect(err.message).to.match(
+          /(failed after \d+ attempts|timeout after 50ms):\n {2}attempt 1: never\n {2}attempt 2: never/
+        );
+        expect(err.errors.length).to.be.at.least(2);
+      },
+      expectErrorHas(
+        () =>
+          asyncVerify(
+            eventually(() => {
+              throw new Error("never");
+            })
+          ),
+        "attempt 2: never"
+      )
+    );
+  });
+
+  it("should fail after the timeout if an attempt never finishes", () => {
+    let count = 0;
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          eventually(
+            () => (++count < 2 ? Promise.reject(new Error("not yet")) : new Promise(() => {})),
+            { timeout: 50, interval: 5 }
+          )
+        )
+      ),
+      err => {
+        expect(err.message).equal(`runVerify: step 'check function number 0' timeout after 50ms:
+  attempt 1: not yet
+  attempt 2: didn't finish`);
+        expect(err.errors.length).equal(1);
+      },
+      expectErrorHas(
+        () => asyncVerify(wrapCheck(() => new Promise(() => {})).retry({ times: 2, timeout: 20 })),
+        "timeout after 20ms:\n  attempt 1: didn't finish"
+      )
+    );
+  });
+});
+
+describe("runParallel", function () {
+  it("should run check functions at the same time and collect the results", () => {
+    const start = Date.now();
+    return asyncVerify(
+      () => "hello",
+      runParallel(
+        next => setTimeout(() => next(null, "a"), 50),
+        r => new Promise(resolve => setTimeout(() => resolve(`${r} b`), 50)),
+        r => `${r} c`
+      ),
+      r => {
+        expect(r).to.deep.equal(["a", "hello b", "hello c"]);
+        expect(Date.now() - start).to.be.below(100);
+      },
+      runParallel(),
+      r => {
+        expect(r).to.deep.equal([]);
+      }
+    );
+  });
+
+  it("should fail the group as soon as a check function fails", () => {
+    let failure;
+    let reached;
+    return asyncVerify(
+      expectErrorToBe(
+        () =>
+          asyncVerify(
+            runParallel(
+              next => setTimeout(() => next(new Error("slow fail")), 30),
+              () => Promise.reject(new Error("fast fail")),
+              () => "ok"
+            ),
+            onFailVerify(err => {
+              failure = err;
+            }),
+            () => {
+              reached = true;
+            }
+          ),
+        "fast fail"
+      ),
+      next => setTimeout(next, 50),
+      () => {
+        expect(failure.message).equal("fast fail");
+        expect(reached).equal(undefined);
+      }
+    );
+  });
+
+  it("should collect every outcome in settled mode", () => {
+    return asyncVerify(
+      runParallel(
+        expectError(() => "no error"),
+        next => setTimeout(() => next(new Error("fail")), 10),
+        () => "ok"
+      ).settled,
+      r => {
+        expect(r[0].status).equal("rejected");
+        expect(r[0].reason.message).contains("expecting error from check function number 0");
+        expect(r[1].status).equal("rejected");
+        expect(r[1].reason.message).equal("fail");
+        expect(r[2]).to.deep.equal({ status: "fulfilled", value: "ok" });
+      }
+    );
+  });
+});
+
+describe("expectError matchers", function () {
+  class CustomError extends Error {}
+
+  const enoent = () => {
+    const err = new Error("no such file");
+    err.code = "ENOENT";
+    return err;
+  };
+
+  it("should pass matching errors to the next check function", () => {
+    return asyncVerify(
+      expectErrorMatches(
+        () => Promise.reject(new Error("file foo.txt missing")),
+        /foo\.\w+ missing/g
+      ),
+      err => {
+        expect(err.message).equal("file foo.txt missing");
+      },
+      expectErrorInstanceOf(() => {
+        throw new CustomError("custom");
+      }, CustomError),
+      err => {
+        expect(err.message).equal("custom");
+      },
+      expectErrorCode(next => next(enoent()), "ENOENT"),
+      err => {
+        expect(err.code).equal("ENOENT");
+      },
+      expectErrorWhere(
+        () => Promise.reject(enoent()),
+        err => err.code === "ENOENT" && err.message.startsWith("no such")
+      ),
+      err => {
+        expect(err.message).equal("no such file");
+      }
+    );
+  });
+
+  it("should fail with the expected and actual errors", () => {
+    return asyncVerify(
+      expectErrorToBe(
+        () => asyncVerify(expectErrorMatches(() => Promise.reject(new Error("oops")), /foo/)),
+        "runVerify expecting error with message matching /foo/ but got Error: 'oops'"
+      ),
+      expectErrorToBe(
+        () =>
+          asyncVerify(
+            expectErrorInstanceOf(() => {
+              throw new TypeError("bad type");
+            }, CustomError)
+          ),
+        "runVerify expecting error to be instance of CustomError but got TypeError: 'bad type'"
+      ),
+      expectErrorToBe(
+        () => asyncVerify(expectErrorCode(next => next(enoent()), "EACCES")),
+        "runVerify expecting error with code 'EACCES' but got Error [ENOENT]: 'no such file'"
+      ),
+      expectErrorToBe(
+        () =>
+          asyncVerify(
+            expectErrorCode(() => {
+              throw "oops"; // eslint-disable-line
+            }, "EACCES")
+          ),
+        "runVerify expecting error with code 'EACCES' but got 'oops'"
+      ),
+      expectErrorToBe(
+        () =>
+          asyncVerify(
+            expectErrorWhere(
+              () => Promise.reject(enoent()),
+              function isAccessError(err) {
+                return err.code === "EACCES";
+              }
+            )
+          ),
+        "runVerify expecting error to satisfy isAccessError but got Error [ENOENT]: 'no such file'"
+      ),
+      expectErrorToBe(
+        () =>
+          asyncVerify(
+            expectErrorWhere(
+              () => Promise.reject(new Error("oops")),
+              () => false
+            )
+          ),
+        "runVerify expecting error to satisfy predicate but got Error: 'oops'"
+      ),
+      expectErrorToBe(
+        () =>
+          asyncVerify(
+            expectErrorWhere(
+              () => Promise.reject(new Error("oops")),
+              () => {
+                throw new Error("predicate failed");
+              }
+            )
+          ),
+        "predicate failed"
+      )
+    );
+  });
+
+  it("should be available as wrapCheck decorators", () => {
+    return asyncVerify(
+      wrapCheck(next => next(enoent())).withCallback.expectErrorCode("ENOENT"),
+      err => {
+        expect(err.code).equal("ENOENT");
+      }
+    );
+  });
+});
+
 describe("runDefer", function () {
   it("should allow user to use defer to resolve test", () => {
     const defer = runDefer();
@@ -775,6 +1312,28 @@ describe("runDefer", function () {
     );
   });
 
+  it("should not continue after a defer failed", () => {
+    const defer = runDefer();
+    let reached;
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          () => {
+            process.nextTick(() => defer.reject(new Error("early fail")));
+          },
+          defer,
+          () => {
+            reached = true;
+          }
+        )
+      ),
+      err => {
+        expect(err.message).equal("early fail");
+        expect(reached).equal(undefined);
+      }
+    );
+  });
+
   it("should fail if one of multiple defers failed", () => {
     const defer1 = runDefer();
     const defer2 = runDefer();
@@ -811,6 +1370,1642 @@ describe("runDefer", function () {
   });
 });
 
+describe("expectEvents", function () {
+  it("should pass the payloads of the events to the next check function", () => {
+    const emitter = new EventEmitter();
+    // events emitted before the chain reaches the step are captured
+    const connected = expectEvents(emitter, ["connect", "data", "data", "end"]);
+    emitter.emit("data", "too early");
+    emitter.emit("connect");
+    return asyncVerify(
+      () => {
+        emitter.emit("data", "a");
+        setTimeout(() => {
+          emitter.emit("connect");
+          emitter.emit("data", "b", 1);
+          emitter.emit("end");
+          emitter.emit("data", "after end");
+        }, 10);
+      },
+      connected,
+      payloads => {
+        expect(payloads).to.deep.equal([undefined, "a", ["b", 1], undefined]);
+        expect(emitter.listenerCount("data")).equal(0);
+      }
+    );
+  });
+
+  it("should fail on out of order events in strict mode", () => {
+    const emitter = new EventEmitter();
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(() => {
+          emitter.emit("connect");
+          emitter.emit("end");
+        }, expectEvents(emitter, ["connect", "data", "end"], { strict: true }))
+      ),
+      err => {
+        expect(err.message).equal(
+          "expectEvents: unexpected event 'end' - expecting events [connect, data, end] - events seen: [connect, end]"
+        );
+        expect(emitter.listenerCount("end")).equal(0);
+      }
+    );
+  });
+
+  it("should report the partial sequence on timeout", () => {
+    const emitter = new EventEmitter();
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          () => emitter.emit("connect"),
+          expectEvents(emitter, ["connect", "end"], { timeout: 20 })
+        )
+      ),
+      err => {
+        expect(err.message).equal(
+          "defer timeout after 20ms - from defer.wait - expecting events [connect, end] - events seen: [connect]"
+        );
+        expect(emitter.listenerCount("connect")).equal(0);
+        expect(emitter.listenerCount("end")).equal(0);
+      }
+    );
+  });
+
+  it("should stop listening if the verification fails before reaching it", () => {
+    const emitter = new EventEmitter();
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(() => {
+          throw new Error("oops");
+        }, expectEvents(emitter, ["a"], { watch: ["error"] }))
+      ),
+      err => {
+        expect(err.message).equal("oops");
+        expect(emitter.listenerCount("a")).equal(0);
+        expect(emitter.listenerCount("error")).equal(0);
+      }
+    );
+  });
+
+  it("should fail on a watched event that's not expected in strict mode", () => {
+    const emitter = new EventEmitter();
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(() => {
+          emitter.emit("connect");
+          emitter.emit("error", new Error("oops"));
+        }, expectEvents(emitter, ["connect", "end"], { strict: true, watch: ["error", "end"] }))
+      ),
+      err => {
+        expect(err.message).equal(
+          "expectEvents: unexpected event 'error' - expecting events [connect, end] - events seen: [connect, error]"
+        );
+        expect(emitter.listenerCount("error")).equal(0);
+      }
+    );
+  });
+});
+
+describe("runNever", function () {
+  it("should wait for the time window to close", () => {
+    const emitter = new EventEmitter();
+    const start = Date.now();
+    return asyncVerify(
+      runNever(emitter, "error", 50),
+      () => emitter.emit("data"),
+      runFinally(() => {
+        expect(Date.now() - start).to.be.at.least(45);
+        expect(emitter.listenerCount("error")).equal(0);
+      })
+    );
+  });
+
+  it("should fail if the event is emitted within the time window", () => {
+    const emitter = new EventEmitter();
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(runNever(emitter, "error", 100), () => {
+          setTimeout(() => emitter.emit("error", new Error("boom")), 10);
+        })
+      ),
+      err => {
+        expect(err.message).equal(
+          "runNever: unexpected event 'error' within 100ms - Error: 'boom'"
+        );
+        expect(emitter.listenerCount("error")).equal(0);
+      }
+    );
+  });
+
+  it("should stop listening if the verification fails before reaching it", () => {
+    const emitter = new EventEmitter();
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(() => {
+          throw new Error("oops");
+        }, runNever(emitter, "error", 100))
+      ),
+      err => {
+        expect(err.message).equal("oops");
+        expect(emitter.listenerCount("error")).equal(0);
+      }
+    );
+  });
+
+  it("should fail if the event was emitted before the chain reached it", () => {
+    const emitter = new EventEmitter();
+    const never = runNever(emitter, "close", 100);
+    let reached;
+    return asyncVerify(
+      expectErrorToBe(
+        () =>
+          asyncVerify(
+            () => emitter.emit("close"),
+            never,
+            () => {
+              reached = true;
+            }
+          ),
+        "runNever: unexpected event 'close' within 100ms"
+      ),
+      () => {
+        expect(reached).equal(undefined);
+      }
+    );
+  });
+});
+
+describe("runSpy", function () {
+  it("should resolve the verification with the calls", () => {
+    const spy = runSpy({ times: 2 });
+    return asyncVerify(spy, () => {
+      setTimeout(() => spy(1, "a"), 5);
+      setTimeout(() => spy(2), 10);
+    }).then(calls => {
+      expect(calls).to.deep.equal([[1, "a"], [2]]);
+      expect(spy.calls).to.equal(calls);
+    });
+  });
+
+  it("should pass the previous result on instead of the calls without wait", () => {
+    const spy = runSpy();
+    return asyncVerify(
+      () => "x",
+      spy,
+      r => {
+        expect(r).equal("x");
+        expect(spy.calls).to.deep.equal([]);
+        setTimeout(() => spy("y"), 5);
+      }
+    ).then(calls => expect(calls).to.deep.equal([["y"]]));
+  });
+
+  it("should pass the calls to the next check function with wait", () => {
+    const spy = runSpy();
+    return asyncVerify(
+      spy,
+      () => setTimeout(() => spy("x"), 5),
+      spy.wait(100),
+      calls => expect(calls).to.deep.equal([["x"]])
+    );
+  });
+
+  it("should fail if it's called too many times before the verification is done", () => {
+    const spy = runSpy();
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          spy,
+          () => {
+            spy();
+            spy();
+          },
+          next => setTimeout(next, 10)
+        )
+      ),
+      err => expect(err.message).to.equal("runSpy: expected 1 calls but got 2")
+    );
+  });
+
+  it("should fail if it's called too many times before it's reached", () => {
+    const spy = runSpy({ times: 2 });
+    spy();
+    spy();
+    spy();
+    return asyncVerify(
+      expectError(() => asyncVerify(() => "x", spy)),
+      err => expect(err.message).to.equal("runSpy: expected 2 calls but got 3")
+    );
+  });
+
+  it("should fail with the calls so far when it times out", () => {
+    const spy = runSpy({ times: 2, timeout: 10 });
+    return asyncVerify(
+      expectError(() => asyncVerify(spy, () => spy())),
+      err => {
+        expect(err.message).contains("defer timeout after 10ms");
+        expect(err.message).contains("runSpy: expected 2 calls but got 1");
+      }
+    );
+  });
+
+  it("should ignore calls after the verification is done", () => {
+    const spy = runSpy();
+    return asyncVerify(spy, () => spy()).then(() => {
+      spy();
+      expect(spy.calls).to.have.length(2);
+    });
+  });
+});
+
+describe("stream helpers", function () {
+  const writeLater = (stream, chunks, end = true) =>
+    setTimeout(() => {
+      chunks.forEach(c => stream.write(c));
+      if (end) {
+        stream.end();
+      }
+    }, 5);
+
+  it("should read a stream into a Buffer", () => {
+    const stream = new PassThrough();
+    return asyncVerify(
+      () => writeLater(stream, ["hello ", Buffer.from("world")]),
+      readStream(stream),
+      data => {
+        expect(Buffer.isBuffer(data)).equal(true);
+        expect(data.toString()).equal("hello world");
+      }
+    );
+  });
+
+  it("should read a stream into a string with encoding", () => {
+    const stream = new PassThrough();
+    const read = readStream(stream, { encoding: "utf8", maxBytes: 5 });
+    stream.end("hello");
+    return asyncVerify(read, data => expect(data).equal("hello"));
+  });
+
+  it("should fail if the stream sends more than maxBytes", () => {
+    const stream = new PassThrough();
+    return asyncVerify(
+      () => writeLater(stream, ["hello", " world"], false),
+      expectError(readStream(stream, { maxBytes: 8 })),
+      err => expect(err.message).equal("readStream: received more than maxBytes 8 bytes")
+    );
+  });
+
+  it("should fail with the error of the stream", () => {
+    const stream = new PassThrough();
+    return asyncVerify(
+      () => setTimeout(() => stream.destroy(new Error("broken pipe")), 5),
+      expectError(readStream(stream)),
+      err => expect(err.message).equal("broken pipe")
+    );
+  });
+
+  it("should fail with the bytes received so far if the stream stalls", () => {
+    const stream = new PassThrough();
+    return asyncVerify(
+      () => writeLater(stream, ["abc"], false),
+      expectError(readStream(stream, { timeout: 30 })),
+      err => {
+        expect(err.message).contains("defer timeout after 30ms");
+        expect(err.message).contains("readStream: received 3 bytes");
+      }
+    );
+  });
+
+  it("should wait for a readable stream to end", () => {
+    const stream = new PassThrough();
+    return asyncVerify(
+      () => writeLater(stream, ["abc"]),
+      expectStreamEnds(stream),
+      s => expect(s).equal(stream)
+    );
+  });
+
+  it("should wait for a writable stream to finish", () => {
+    const written = [];
+    const stream = new Writable({
+      write(chunk, encoding, cb) {
+        written.push(chunk.toString());
+        cb();
+      }
+    });
+    return asyncVerify(
+      () => writeLater(stream, ["a", "b"]),
+      expectStreamEnds(stream, { timeout: 1000 }),
+      () => expect(written).to.deep.equal(["a", "b"])
+    );
+  });
+
+  it("should wait for the readable side of a duplex stream to end", () => {
+    const duplex = new Duplex({ read: () => undefined, write: (chunk, encoding, cb) => cb() });
+    const reply = readStream(duplex, { encoding: "utf8" });
+    const ended = expectStreamEnds(duplex);
+    return asyncVerify(
+      next => duplex.end("request", next),
+      () => {
+        duplex.push("reply");
+        setTimeout(() => duplex.push(null), 10);
+      },
+      reply,
+      data => expect(data).equal("reply"),
+      ended,
+      s => expect(s).equal(duplex)
+    );
+  });
+
+  it("should pass a stream that already ended", () => {
+    const readable = new PassThrough();
+    const writable = new Writable({ write: (chunk, encoding, cb) => cb() });
+    readable.resume();
+    readable.end();
+    writable.end();
+    return asyncVerify(
+      next => readable.on("end", next),
+      next => writable.on("finish", next),
+      () => asyncVerify(expectStreamEnds(readable), expectStreamEnds(writable)),
+      s => expect(s).equal(writable)
+    );
+  });
+
+  it("should fail if the stream doesn't end in time", () => {
+    const stream = new PassThrough();
+    return asyncVerify(
+      () => writeLater(stream, ["abcd"], false),
+      expectError(expectStreamEnds(stream, { timeout: 30 })),
+      err => expect(err.message).contains("expectStreamEnds: stream not ended - received 4 bytes")
+    );
+  });
+
+  it("should fail if the stream emits error before it ends", () => {
+    const stream = new PassThrough();
+    return asyncVerify(
+      () => setTimeout(() => stream.destroy(new Error("reset")), 5),
+      expectError(expectStreamEnds(stream)),
+      err => expect(err.message).equal("reset")
+    );
+  });
+
+  it("should pass the lines that match in order", () => {
+    const stream = new PassThrough();
+    return asyncVerify(
+      () => writeLater(stream, ["starting\nlisten", "ing on 80", "80\nignored\n", "ready"]),
+      expectLines(stream, [/^listening on (\d+)/, "ready"]),
+      lines => expect(lines).to.deep.equal(["listening on 8080", "ready"])
+    );
+  });
+
+  it("should pass the lines once they match without waiting for the end", () => {
+    const stream = new PassThrough();
+    return asyncVerify(
+      () => writeLater(stream, ["a\nb\n"], false),
+      expectLines(stream, ["a", "b"], { timeout: 1000 }),
+      lines => expect(lines).to.deep.equal(["a", "b"])
+    );
+  });
+
+  it("should fail if the stream ends before the lines match", () => {
+    const stream = new PassThrough();
+    return asyncVerify(
+      () => writeLater(stream, ["a\nc\n"]),
+      expectError(expectLines(stream, ["a", "b", "c"])),
+      err =>
+        expect(err.message).equal(
+          "expectLines: matched 1 of 3 lines - received 4 bytes - stream ended before b"
+        )
+    );
+  });
+
+  it("should fail with the lines matched so far if the stream stalls", () => {
+    const stream = new PassThrough();
+    return asyncVerify(
+      () => writeLater(stream, ["a\n"], false),
+      expectError(expectLines(stream, ["a", "b"], { timeout: 30 })),
+      err => expect(err.message).contains("expectLines: matched 1 of 2 lines - received 2 bytes")
+    );
+  });
+
+  it("should fail with the error of the stream while expecting lines", () => {
+    const stream = new PassThrough();
+    return asyncVerify(
+      () => setTimeout(() => stream.destroy(new Error("closed")), 5),
+      expectError(expectLines(stream, ["a"])),
+      err => expect(err.message).equal("closed")
+    );
+  });
+});
+
+describe("clock", function () {
+  const createClock = () => {
+    let id = 0;
+    const timers = [];
+    const clock = {
+      now: 0,
+      setTimeout(fn, ms) {
+        const timer = { id: ++id, at: clock.now + ms, fn };
+        timers.push(timer);
+        return timer;
+      },
+      clearTimeout(timer) {
+        const ix = timers.indexOf(timer);
+        if (ix >= 0) {
+          timers.splice(ix, 1);
+        }
+      },
+      tick(ms) {
+        const end = clock.now + ms;
+        let timer;
+        while ((timer = timers.sort((a, b) => a.at - b.at)[0]) && timer.at <= end) {
+          timers.shift();
+          clock.now = timer.at;
+          timer.fn();
+        }
+        clock.now = end;
+      },
+      pending: () => timers.length
+    };
+    return clock;
+  };
+
+  afterEach(() => {
+    runVerify.configure({ clock: undefined });
+  });
+
+  it("should run timeouts on the clock passed to the verification", () => {
+    const clock = createClock();
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          { clock },
+          runTimeout(1000),
+          () => "hello",
+          advance(500),
+          r => {
+            expect(r).equal("hello");
+            expect(clock.now).equal(500);
+            expect(clock.pending()).equal(1);
+          },
+          withTimeout(5000, () => {
+            setTimeout(() => clock.tick(600), 1);
+            return new Promise(() => {});
+          })
+        )
+      ),
+      err => {
+        expect(err.message).contains("runVerify: test timeout after 1000ms");
+        expect(err.verifyTrace.find(x => !x.passed).time).equal(500);
+        expect(clock.pending()).equal(0);
+      }
+    );
+  });
+
+  it("should use tickAsync from the clock", () => {
+    const clock = createClock();
+    clock.tickAsync = ms => Promise.resolve(clock.tick(ms));
+    return asyncVerify(
+      { clock },
+      () => "hello",
+      advance(100),
+      r => {
+        expect(r).equal("hello");
+        expect(clock.now).equal(100);
+      }
+    );
+  });
+
+  it("should run defer and retry timers on the configured clock", () => {
+    const clock = createClock();
+    const defer = runDefer(200);
+    let count = 0;
+    runVerify.configure({ clock });
+    return asyncVerify(
+      expectErrorHas(
+        () =>
+          asyncVerify(
+            defer,
+            wrapCheck(() => {
+              count++;
+              setTimeout(() => clock.tick(100), 1);
+              throw new Error("not yet");
+            }).retry({ times: 3, interval: 100 })
+          ),
+        "defer timeout after 200ms - from runVerify"
+      ),
+      () => {
+        expect(count).equal(2);
+      }
+    );
+  });
+
+  it("should run the runNever time window on the clock passed to the verification", () => {
+    const clock = createClock();
+    const emitter = new EventEmitter();
+    const never = runNever(emitter, "error", 1000);
+    const start = Date.now();
+    return asyncVerify(
+      { clock },
+      () => setTimeout(() => clock.tick(1000), 1),
+      never.wait(),
+      () => {
+        expect(Date.now() - start).to.be.below(500);
+        expect(clock.pending()).equal(0);
+        expect(emitter.listenerCount("error")).equal(0);
+      }
+    );
+  });
+
+  it("should wait on the real clock with advance", () => {
+    const start = Date.now();
+    return asyncVerify(advance(20), () => {
+      expect(Date.now() - start).to.be.at.least(15);
+    });
+  });
+});
+
+describe("plugins", function () {
+  const recorder = log => ({
+    beforeStep: info => log.push(["beforeStep", info.index, info.label, info.kind]),
+    afterStep: info => log.push(["afterStep", info.index, info.passed, info.result, info.error]),
+    onFail: info => log.push(["onFail", info.index, info.label, info.error.message]),
+    onDone: info => log.push(["onDone", info.error, info.result, info.trace.length])
+  });
+
+  it("should call the hooks of registered plugins", () => {
+    const log = [];
+    const remove = runVerify.use(recorder(log));
+    const verify = asyncVerify(
+      step("hello", () => "hello"),
+      next => next(null, "world")
+    );
+    remove();
+    return verify.then(() => {
+      expect(log).to.deep.equal([
+        ["beforeStep", 0, "hello", "sync"],
+        ["afterStep", 0, true, "hello", undefined],
+        ["beforeStep", 1, "check function number 1", "callback"],
+        ["afterStep", 1, true, "world", undefined],
+        ["onDone", undefined, "world", 2]
+      ]);
+    });
+  });
+
+  it("should call the hooks of plugins passed to the verification", () => {
+    const log = [];
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          { plugins: [recorder(log), {}] },
+          () => "hello",
+          step("login", () => {
+            throw new Error("oops");
+          })
+        )
+      ),
+      err => {
+        expect(err.message).contains("oops");
+        expect(log).to.deep.equal([
+          ["beforeStep", 0, "check function number 0", "sync"],
+          ["afterStep", 0, true, "hello", undefined],
+          ["beforeStep", 1, "login", "sync"],
+          ["afterStep", 1, false, undefined, err],
+          ["onFail", 1, "login", err.message],
+          ["onDone", err, undefined, 2]
+        ]);
+      }
+    );
+  });
+
+  it("should wait for promises returned by hooks", () => {
+    const log = [];
+    const delay = name => () =>
+      new Promise(resolve =>
+        setTimeout(() => {
+          log.push(name);
+          resolve();
+        }, 10)
+      );
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          {
+            plugins: [
+              {
+                beforeStep: delay("beforeStep"),
+                afterStep: delay("afterStep"),
+                onFail: delay("onFail"),
+                onDone: delay("onDone")
+              }
+            ]
+          },
+          () => log.push("step 0"),
+          () => {
+            log.push("step 1");
+            throw new Error("oops");
+          }
+        )
+      ),
+      () => {
+        expect(log).to.deep.equal([
+          "beforeStep",
+          "step 0",
+          "afterStep",
+          "beforeStep",
+          "step 1",
+          "afterStep",
+          "onFail",
+          "onDone"
+        ]);
+      }
+    );
+  });
+
+  it("should fail the verification if a step hook fails", () => {
+    return asyncVerify(
+      expectErrorToBe(
+        () =>
+          asyncVerify(
+            {
+              plugins: [
+                {
+                  beforeStep: () => {
+                    throw new Error("before failed");
+                  }
+                }
+              ]
+            },
+            () => "hello"
+          ),
+        "before failed"
+      ),
+      expectErrorToBe(
+        () =>
+          asyncVerify(
+            { plugins: [{ afterStep: () => Promise.reject(new Error("after failed")) }] },
+            () => "hello"
+          ),
+        "after failed"
+      ),
+      expectErrorToBe(
+        () =>
+          asyncVerify(
+            {
+              plugins: [
+                {
+                  onDone: () => {
+                    throw new Error("onDone failed");
+                  }
+                }
+              ]
+            },
+            () => "hello"
+          ),
+        "onDone failed"
+      ),
+      expectErrorToBe(
+        () =>
+          asyncVerify(
+            { plugins: [{ onDone: () => Promise.reject(new Error("onDone rejected")) }] },
+            () => "hello"
+          ),
+        "onDone rejected"
+      )
+    );
+  });
+
+  it("should keep the error of the check function if fail hooks fail", () => {
+    return asyncVerify(
+      expectErrorToBe(
+        () =>
+          asyncVerify(
+            {
+              plugins: [
+                { onDone: () => Promise.reject(new Error("onDone rejected")) },
+                {
+                  onFail: () => {
+                    throw new Error("onFail failed");
+                  },
+                  onDone: () => {
+                    throw new Error("onDone failed");
+                  }
+                }
+              ]
+            },
+            () => {
+              throw new Error("oops");
+            }
+          ),
+        "oops"
+      )
+    );
+  });
+
+  it("should not run the step if verification timed out in a hook", () => {
+    let reached;
+    return asyncVerify(
+      expectErrorHas(
+        () =>
+          asyncVerify(
+            { plugins: [{ beforeStep: () => new Promise(resolve => setTimeout(resolve, 50)) }] },
+            runTimeout(10),
+            () => {
+              reached = true;
+            }
+          ),
+        "test timeout after 10ms"
+      ),
+      next => setTimeout(next, 60),
+      () => {
+        expect(reached).equal(undefined);
+      }
+    );
+  });
+});
+
+describe("abort signal", function () {
+  const expectAbortError = err => {
+    expect(err.name).to.equal("AbortError");
+    expect(err.code).to.equal("ABORT_ERR");
+    expect(err.message).contains("runVerify: verification aborted");
+  };
+
+  it("should stop the verification when the signal aborts", () => {
+    const controller = new AbortController();
+    let ranNext = false;
+    let ranFinally = false;
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          { signal: controller.signal },
+          () => {
+            setTimeout(() => controller.abort("stop"), 10);
+            return new Promise(resolve => setTimeout(resolve, 50));
+          },
+          () => {
+            ranNext = true;
+          },
+          runFinally(() => {
+            ranFinally = true;
+          })
+        )
+      ),
+      err => {
+        expectAbortError(err);
+        expect(err.cause).to.equal("stop");
+        expect(ranFinally).to.equal(true);
+      },
+      next => setTimeout(next, 60),
+      () => expect(ranNext).to.equal(false)
+    );
+  });
+
+  it("should not run any step if the signal already aborted", () => {
+    const controller = new AbortController();
+    controller.abort();
+    let ran = false;
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify({ signal: controller.signal }, () => {
+          ran = true;
+        })
+      ),
+      err => {
+        expectAbortError(err);
+        expect(ran).to.equal(false);
+      }
+    );
+  });
+
+  it("should reject pending defers when the signal aborts", done => {
+    const controller = new AbortController();
+    const defer = runDefer();
+    let deferError;
+    defer.onReject(err => {
+      deferError = err;
+    });
+    runVerify(
+      { signal: controller.signal },
+      defer,
+      () => setTimeout(() => controller.abort(), 10),
+      err => {
+        try {
+          expectAbortError(err);
+          expect(deferError).to.equal(err);
+          done();
+        } catch (err2) {
+          done(err2);
+        }
+      }
+    );
+  });
+
+  it("should pass the signal to check functions as this", () => {
+    const controller = new AbortController();
+    return asyncVerify(
+      { signal: controller.signal },
+      function () {
+        expect(this.signal).to.equal(controller.signal);
+      },
+      function (next) {
+        expect(this.signal).to.equal(controller.signal);
+        next();
+      }
+    );
+  });
+
+  it("should stop listening to the signal when the verification is done", () => {
+    const controller = new AbortController();
+    return asyncVerify({ signal: controller.signal }, () => "done").then(r => {
+      expect(r).to.equal("done");
+      controller.abort();
+    });
+  });
+});
+
+describe("verifyWithContext", function () {
+  it("should pass the context to check functions as the first param", () => {
+    let context;
+    return verifyWithContext(
+      ctx => {
+        context = ctx;
+        return "a";
+      },
+      (ctx, r) => {
+        expect(ctx).to.equal(context);
+        expect(r).to.equal("a");
+        return "b";
+      },
+      (ctx, next) => next(null, "c"),
+      (ctx, r, next) => {
+        expect(r).to.equal("c");
+        next(null, "d");
+      },
+      step("e", () => "e"),
+      async (ctx, r) => {
+        expect(r).to.equal("e");
+        expect(ctx.results).to.deep.equal(["a", "b", "c", "d", "e"]);
+        expect(ctx.labeled).to.deep.equal({ e: "e" });
+        return "f";
+      }
+    ).then(r => {
+      expect(r).to.equal("f");
+    });
+  });
+
+  it("should run cleanups in reverse order and pass the context to runFinally", () => {
+    const log = [];
+    let context;
+    return verifyWithContext(
+      ctx => {
+        context = ctx;
+        ctx
+          .cleanup(() => log.push("cleanup1"))
+          .cleanup(
+            () => new Promise(resolve => setTimeout(() => resolve(log.push("cleanup2")), 10))
+          );
+      },
+      runFinally(ctx => {
+        expect(ctx).to.equal(context);
+        log.push("finally");
+      })
+    ).then(() => {
+      expect(log).to.deep.equal(["finally", "cleanup2", "cleanup1"]);
+    });
+  });
+
+  it("should run all cleanups on failure and keep the error of the check function", () => {
+    const log = [];
+    return asyncVerify(
+      expectError(() =>
+        verifyWithContext(
+          ctx => {
+            ctx.cleanup(() => log.push("cleanup1"));
+            ctx.cleanup(() => {
+              throw new Error("cleanup failed");
+            });
+          },
+          () => {
+            throw new Error("oops");
+          }
+        )
+      ),
+      err => {
+        expect(err.message).to.equal("oops");
+        expect(log).to.deep.equal(["cleanup1"]);
+      }
+    );
+  });
+
+  it("should fail with the error of a cleanup", () => {
+    return asyncVerify(
+      expectError(() =>
+        verifyWithContext(ctx => {
+          ctx.cleanup(() => {
+            throw new Error("cleanup1 failed");
+          });
+          ctx.cleanup(() => Promise.resolve());
+        })
+      ),
+      err => {
+        expect(err.message).to.equal("cleanup1 failed");
+      }
+    );
+  });
+
+  it("should pass the context to the check functions of runParallel", () => {
+    const log = [];
+    return verifyWithContext(
+      { signal: new AbortController().signal },
+      () => "a",
+      runParallel(
+        (ctx, r) => {
+          ctx.cleanup(() => log.push("parallel cleanup"));
+          return `${r}1`;
+        },
+        (ctx, r, next) => next(null, `${r}2`)
+      ),
+      (ctx, r) => {
+        expect(r).to.deep.equal(["a1", "a2"]);
+        expect(ctx.results).to.deep.equal(["a", ["a1", "a2"]]);
+        expect(ctx.signal).to.be.ok;
+        expect(log).to.deep.equal([]);
+      }
+    ).then(() => {
+      expect(log).to.deep.equal(["parallel cleanup"]);
+    });
+  });
+
+  it("should pass the context as this without context mode", () => {
+    const log = [];
+    return asyncVerify(
+      function () {
+        this.cleanup(() => log.push("cleanup"));
+        return "a";
+      },
+      function (r) {
+        expect(this.results).to.deep.equal(["a"]);
+        expect(r).to.equal("a");
+      },
+      runParallel(function () {
+        expect(this.results).to.deep.equal(["a", undefined]);
+      })
+    ).then(() => {
+      expect(log).to.deep.equal(["cleanup"]);
+    });
+  });
+});
+
+describe("useFixture", function () {
+  it("should pass the fixture on and tear it down in reverse order", () => {
+    const log = [];
+    return asyncVerify(
+      () => "a",
+      useFixture(
+        r => `${r}1`,
+        x => log.push(`teardown ${x}`)
+      ),
+      useFixture(
+        r => Promise.resolve(`${r}2`),
+        x => new Promise(resolve => setTimeout(() => resolve(log.push(`teardown ${x}`)), 10))
+      ),
+      r => {
+        expect(r).to.equal("a12");
+        expect(log).to.deep.equal([]);
+      }
+    ).then(() => {
+      expect(log).to.deep.equal(["teardown a12", "teardown a1"]);
+    });
+  });
+
+  it("should tear down the fixtures when the verification fails", () => {
+    const log = [];
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          useFixture(
+            () => "db",
+            x => log.push(x)
+          ),
+          useFixture(() => "no teardown"),
+          () => {
+            throw new Error("oops");
+          }
+        )
+      ),
+      err => {
+        expect(err.message).to.equal("oops");
+        expect(log).to.deep.equal(["db"]);
+      }
+    );
+  });
+
+  it("should tear down a fixture that's set up after the verification timed out", () => {
+    const log = [];
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          runTimeout(10),
+          useFixture(
+            () => new Promise(resolve => setTimeout(() => resolve("server"), 30)),
+            x => log.push(x)
+          )
+        )
+      ),
+      err => {
+        expect(err.message).contains("timeout after 10ms");
+        expect(log).to.deep.equal([]);
+      },
+      next => setTimeout(next, 40),
+      () => expect(log).to.deep.equal(["server"])
+    );
+  });
+
+  it("should ignore errors from a teardown after the verification is done", () => {
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          runTimeout(10),
+          useFixture(
+            () => new Promise(resolve => setTimeout(resolve, 30)),
+            () => {
+              throw new Error("teardown failed");
+            }
+          )
+        )
+      ),
+      next => setTimeout(next, 40)
+    );
+  });
+
+  it("should fail with an AggregateError if several teardowns failed", () => {
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          useFixture(
+            () => 1,
+            () => {
+              throw new Error("teardown 1 failed");
+            }
+          ),
+          useFixture(
+            () => 2,
+            () => Promise.reject(new Error("teardown 2 failed"))
+          ),
+          useFixture(
+            () => 3,
+            () => undefined
+          )
+        )
+      ),
+      err => {
+        expect(err).to.be.an.instanceOf(AggregateError);
+        expect(err.message).to.equal("runVerify: 2 cleanups failed");
+        expect(err.errors.map(x => x.message)).to.deep.equal([
+          "teardown 2 failed",
+          "teardown 1 failed"
+        ]);
+      }
+    );
+  });
+});
+
+describe("aggregateErrors", function () {
+  afterEach(() => {
+    runVerify.configure({ aggregateErrors: false });
+  });
+
+  it("should report every failure with its source, the check error first", () => {
+    const checkError = new Error("check failed");
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          {
+            aggregateErrors: true,
+            plugins: [
+              {
+                afterStep: info => info.error && Promise.reject(new Error("afterStep failed")),
+                onFail: () => Promise.reject(new Error("onFail failed")),
+                onDone: () => Promise.reject(new Error("onDone failed"))
+              }
+            ]
+          },
+          useFixture(
+            () => 1,
+            () => {
+              throw new Error("teardown failed");
+            }
+          ),
+          step("check", () => {
+            throw checkError;
+          }),
+          onFailVerify(() => {
+            throw new Error("onFailVerify failed");
+          }),
+          runFinally(() => {
+            throw new Error("finally 1 failed");
+          }),
+          runFinally(() => Promise.reject("finally 2 failed"))
+        )
+      ),
+      err => {
+        expect(err).to.be.an.instanceOf(AggregateError);
+        expect(err.cause).to.equal(checkError);
+        expect(err.errors[0]).to.equal(checkError);
+        expect(err.causes.map(x => x.source)).to.deep.equal([
+          "step 'check'",
+          "onFailVerify",
+          "runFinally 1",
+          "afterStep hook",
+          "onFail hook",
+          "runFinally 2",
+          "cleanup",
+          "onDone hook"
+        ]);
+        expect(err.message).contains("runVerify: 8 failures:\n");
+        expect(err.message).contains("\n  runFinally 1: finally 1 failed\n");
+        expect(err.message).contains("\n  runFinally 2: finally 2 failed\n");
+      }
+    );
+  });
+
+  it("should report all defers that failed", () => {
+    const defer1 = runDefer();
+    const defer2 = runDefer();
+    defer1.reject(new Error("defer 1 failed"));
+    defer2.reject(new Error("defer 2 failed"));
+    return asyncVerify(
+      expectError(() => asyncVerify({ aggregateErrors: true }, defer1, defer2, () => "x")),
+      err => {
+        expect(err.causes.map(x => [x.source, x.error.message])).to.deep.equal([
+          ["defer", "defer 1 failed"],
+          ["defer", "defer 2 failed"]
+        ]);
+      }
+    );
+  });
+
+  it("should use the error as is if there's only one failure", () => {
+    runVerify.configure({ aggregateErrors: true });
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          () => "x",
+          runFinally(() => Promise.reject(new Error("finally failed")))
+        )
+      ),
+      err => {
+        expect(err.message).to.equal("finally failed");
+        expect(err.causes).to.equal(undefined);
+      }
+    );
+  });
+
+  it("should report a failure that's not from a step", () => {
+    runVerify.configure({ aggregateErrors: true });
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          "not a function",
+          runFinally(() => {
+            throw new Error("finally failed");
+          })
+        )
+      ),
+      err => {
+        expect(err.causes.map(x => x.source)).to.deep.equal(["runVerify", "runFinally 1"]);
+      }
+    );
+  });
+
+  it("should keep the legacy behavior if the option is off", () => {
+    runVerify.configure({ aggregateErrors: true });
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          { aggregateErrors: false },
+          () => {
+            throw new Error("check failed");
+          },
+          onFailVerify(() => {
+            throw new Error("onFailVerify failed");
+          }),
+          runFinally(() => Promise.reject(new Error("finally failed")))
+        )
+      ),
+      err => {
+        expect(err.message).to.equal("onFailVerify failed");
+      }
+    );
+  });
+});
+
+describe("errorCause", function () {
+  afterEach(() => {
+    runVerify.configure({ errorCause: false });
+  });
+
+  const failWith = (...checkFuncs) => {
+    let error;
+    return asyncVerify(
+      expectError(() => asyncVerify({ errorCause: true }, ...checkFuncs)),
+      err => {
+        error = err;
+      }
+    ).then(() => error);
+  };
+
+  it("should keep the original error of a check function", () => {
+    const assert = require("assert");
+    let original;
+    return failWith(
+      step("compare", () => {
+        try {
+          assert.deepStrictEqual({ a: 1 }, { a: 2 });
+        } catch (err) {
+          original = err;
+          throw err;
+        }
+      })
+    ).then(err => {
+      expect(err).to.equal(original);
+      expect(err).to.be.an.instanceOf(assert.AssertionError);
+      expect(err.expected).to.deep.equal({ a: 2 });
+      expect(err.message).to.not.contain("runVerify step");
+      expect(err.verifyCallSite).contains("index.spec.js");
+      expect(err.verifyTrace[0].label).to.equal("compare");
+    });
+  });
+
+  it("should create a new error with the call site stack and the cause", () => {
+    const thrown = new Error("something else");
+    return failWith(
+      expectErrorHas(() => {
+        throw thrown;
+      }, "oops")
+    ).then(err => {
+      expect(err.message).to.equal("runVerify expecting error with message has 'oops'");
+      expect(err.cause).to.equal(thrown);
+      expect(err.stack).contains("Error: runVerify expecting error with message has 'oops'\n");
+      expect(err.stack).contains("index.spec.js");
+    });
+  });
+
+  it("should add the last attempt's error as the cause of a retry failure", () => {
+    const thrown = new Error("not yet");
+    return failWith(
+      wrapCheck(() => {
+        throw thrown;
+      }).retry({ times: 2 })
+    ).then(err => {
+      expect(err.message).contains("failed after 2 attempts");
+      expect(err.cause).to.equal(thrown);
+    });
+  });
+
+  it("should create new errors for timeouts", () => {
+    let timeoutError;
+    return failWith(
+      runTimeout(10, err => {
+        timeoutError = err;
+      }),
+      next => setTimeout(next, 50)
+    )
+      .then(err => {
+        expect(err).to.equal(timeoutError);
+        expect(err.message).contains("test timeout after 10ms");
+        expect(err.cause).to.equal(undefined);
+        return failWith(withTimeout(10, next => setTimeout(next, 50)));
+      })
+      .then(err => {
+        expect(err.message).contains("timeout after 10ms");
+        const defer = runDefer(10);
+        return failWith(defer, () => "x");
+      })
+      .then(err => {
+        expect(err.message).contains("defer timeout after 10ms - from runVerify");
+        expect(err.stack).contains("index.spec.js");
+      });
+  });
+
+  it("should create new errors with the configured default", () => {
+    runVerify.configure({ errorCause: true });
+    const controller = new AbortController();
+    controller.abort();
+    expect(() => runVerify(() => undefined)).to.throw("runVerify - must pass done function");
+    return asyncVerify(
+      expectError(() => asyncVerify("x")),
+      err => expect(err.message).contains("is not a function"),
+      expectError(() => asyncVerify(expectError(() => "x"))),
+      err => expect(err.message).contains("expecting error from check function number 0"),
+      expectError(() => asyncVerify({ signal: controller.signal }, () => "x")),
+      err => expect(err.name).to.equal("AbortError")
+    );
+  });
+
+  it("should pass the option to the check functions of runParallel", () => {
+    const thrown = new Error("oops");
+    return failWith(
+      runParallel(
+        expectErrorCode(() => {
+          throw thrown;
+        }, "ENOENT")
+      )
+    ).then(err => {
+      expect(err.cause).to.equal(thrown);
+    });
+  });
+});
+
+describe("strict mode", function () {
+  afterEach(() => {
+    runVerify.configure({ strict: false });
+  });
+
+  const kind = (verifyKind, fn) => Object.assign(fn, { verifyKind });
+
+  it("should use the declared kind of check functions that take one param", () => {
+    return asyncVerify(
+      { strict: true },
+      () => "a",
+      withResult(next => `${next}b`),
+      withCallback(r => setTimeout(() => r(null, "c"), 5)),
+      kind("result", cb => `${cb}d`),
+      kind("callback", x => x(null, "e")),
+      wrapCheck(function (r) {
+        return `${r}f`;
+      }).withResult,
+      async r => `${r}g`,
+      (r, next) => next(null, `${r}h`),
+      () => "i"
+    ).then(r => expect(r).equal("i"));
+  });
+
+  it("should use the declared kind without strict mode", () => {
+    return asyncVerify(
+      () => "a",
+      withResult(next => `${next}b`),
+      kind("result", done => `${done}c`),
+      r => expect(r).equal("abc")
+    );
+  });
+
+  it("should fail before running any check function if one is ambiguous", () => {
+    let ran = false;
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          { strict: true },
+          () => (ran = true),
+          runTimeout(1000),
+          onFailVerify(err => err),
+          runFinally(() => undefined),
+          next => next(),
+          step("check", r => r),
+          kind("other", function foo(x) {
+            return x;
+          }),
+          123
+        )
+      ),
+      err => {
+        expect(ran).equal(false);
+        const ambiguous = `takes one param without declaring if it's the result or the next \
+callback, use withResult, withCallback, or verifyKind in strict mode`;
+        expect(err.message).equal(
+          `runVerify: 5 problems with the check functions:
+  param 3 ${ambiguous}
+  param 4 (check) ${ambiguous}
+  param 5 (foo) has invalid verifyKind 'other', use "callback" or "result"
+  param 5 (foo) ${ambiguous}
+  param 6 is not a function: type number`
+        );
+      }
+    );
+  });
+
+  it("should run the check functions from useFixture", () => {
+    return asyncVerify(
+      { strict: true },
+      () => 1,
+      useFixture(r => r + 1),
+      withResult(r => expect(r).equal(2))
+    );
+  });
+
+  it("should apply strict mode from configure and in context mode", () => {
+    runVerify.configure({ strict: true });
+    return asyncVerify(
+      expectErrorHas(
+        () =>
+          verifyWithContext(
+            (ctx, next) => next(),
+            withResult((ctx, r) => r)
+          ),
+        "runVerify param 0 takes one param"
+      ),
+      expectErrorHas(
+        () =>
+          asyncVerify(
+            runParallel(
+              () => "a",
+              step("member", x => x)
+            )
+          ),
+        "runVerify param 0 (member) takes one param"
+      ),
+      () => asyncVerify({ strict: false }, next => next())
+    );
+  });
+});
+
+describe("upfront validation", function () {
+  it("should report all problems before running any check function", () => {
+    let ran = false;
+    return asyncVerify(
+      expectError(() =>
+        asyncVerify(
+          () => (ran = true),
+          null,
+          expectError(() => undefined).onFailVerify,
+          step("wait", () => undefined).withCallback.withResult,
+          eventually(() => undefined).onFailVerify,
+          runTimeout(100).expectError,
+          runTimeout(200),
+          advance(10),
+          runDefer(),
+          expectError("x")
+        )
+      ),
+      err => {
+        expect(ran).equal(false);
+        expect(err.message).equal(`runVerify: 6 problems with the check functions:
+  param 1 is not a function: type object
+  param 2 has conflicting decorators onFailVerify and expectError
+  param 3 (wait) has conflicting decorators withCallback and withResult
+  param 4 has conflicting decorators onFailVerify and retry
+  param 5 has conflicting decorators expectError and runTimeout
+  param 9 is not a function: type string`);
+        expect(err.problems.map(x => x.index)).to.deep.equal([1, 2, 3, 4, 5, 9]);
+      }
+    );
+  });
+
+  it("should report more than one runTimeout only in strict mode", () => {
+    return asyncVerify(
+      () => asyncVerify(runTimeout(100), () => "a", runTimeout(200)),
+      r => expect(r).equal("a"),
+      expectError(() => asyncVerify({ strict: true }, runTimeout(100), runTimeout(200), () => "a")),
+      err => {
+        expect(err.message).equal(
+          "runVerify param 1 is another runTimeout, strict mode allows only one"
+        );
+        expect(err.problems).to.deep.equal([
+          { index: 1, message: "is another runTimeout, strict mode allows only one" }
+        ]);
+      }
+    );
+  });
+
+  it("should throw if the last argument is not a done function", () => {
+    expect(() => runVerify(() => undefined, "done")).to.throw(
+      "runVerify - must pass done function"
+    );
+  });
+});
+
+describe("genVerify", function () {
+  it("should run yielded check functions, defers, and promises and send back the results", () => {
+    const emitter = new EventEmitter();
+    const defer = runDefer();
+    const seen = [];
+    return genVerify(function* () {
+      const a = yield () => 1;
+      const b = yield next => setTimeout(() => next(null, a + 1), 5);
+      const c = yield Promise.resolve(b + 1);
+      const d = yield r => r + 1;
+      setTimeout(() => emitter.emit("x", d + 1), 5);
+      const e = yield next => emitter.once("x", v => next(null, v));
+      setTimeout(() => defer.resolve(e + 1), 5);
+      const f = yield defer;
+      for (let i = 0; i < 3; i++) {
+        seen.push(yield () => i);
+      }
+      return [a, b, c, d, e, f];
+    }).then(r => {
+      expect(r).to.deep.equal([1, 2, 3, 4, 5, 6]);
+      expect(seen).to.deep.equal([0, 1, 2]);
+    });
+  });
+
+  it("should throw failures into the generator so it can handle them", () => {
+    return genVerify(function* () {
+      let message;
+      try {
+        yield () => {
+          throw new Error("oops");
+        };
+      } catch (err) {
+        message = err.message;
+      }
+      const expected = yield expectError(() => Promise.reject(new Error("expected")));
+      return [message, expected.message];
+    }).then(r => expect(r).to.deep.equal(["oops", "expected"]));
+  });
+
+  it("should fail with the errors the generator doesn't handle", () => {
+    return asyncVerify(
+      expectErrorToBe(
+        () =>
+          genVerify(function* () {
+            yield () => {
+              throw new Error("not handled");
+            };
+          }),
+        "not handled"
+      ),
+      expectErrorToBe(
+        () =>
+          genVerify(function* () {
+            yield () => undefined;
+            throw new Error("from generator");
+          }),
+        "from generator"
+      ),
+      expectErrorToBe(
+        () =>
+          genVerify(function* () {
+            yield 123;
+          }),
+        "runVerify param 0 is not a function: type number"
+      ),
+      expectErrorToBe(() => genVerify("x"), "runVerify param 0 is not a function: type string")
+    );
+  });
+
+  it("should run runFinally callbacks, then close the generator when it's done", () => {
+    const calls = [];
+    return asyncVerify(
+      expectErrorToBe(
+        () =>
+          genVerify({ strict: true }, function* (context) {
+            expect(this).equal(context);
+            yield runFinally(ctx => calls.push(["finally", ctx === context]));
+            try {
+              yield runTimeout(1000);
+              yield runTimeout(30, err => {
+                // the error has the stack of the genVerify call
+                calls.push(["timeout", err.message, err.stack.includes(__filename)]);
+              });
+              yield withCallback(next => setTimeout(next, 1000));
+              calls.push(["not reached"]);
+            } finally {
+              calls.push(["closed"]);
+            }
+          }),
+        "genVerify: test timeout after 30ms while waiting for yield number 4"
+      ),
+      () =>
+        expect(calls).to.deep.equal([
+          ["timeout", "genVerify: test timeout after 30ms while waiting for yield number 4", true],
+          ["finally", true],
+          ["closed"]
+        ])
+    );
+  });
+
+  it("should stop driving the generator after a timeout", () => {
+    let resumed = false;
+    return asyncVerify(
+      expectErrorHas(
+        () =>
+          genVerify(function* () {
+            yield runTimeout(10);
+            yield next => setTimeout(next, 50);
+            resumed = true;
+          }),
+        "test timeout after 10ms"
+      ),
+      next => setTimeout(next, 60),
+      () => expect(resumed).equal(false)
+    );
+  });
+
+  it("should pass the result of the previous yield to a check function", () => {
+    return asyncVerify(
+      () => "a",
+      r =>
+        genVerify(function* () {
+          yield () => r;
+          return yield x => `${x}b`;
+        }),
+      r => expect(r).equal("ab")
+    );
+  });
+});
+
 describe("runFinally", function () {
   it("should make a callback that's always run", () => {
     const x = runFinally(() => {});
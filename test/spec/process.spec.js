@@ -0,0 +1,193 @@
+"use strict";
+
+const { asyncVerify, verifyWithContext, expectError, runProcess, expectOutput } = require("../..");
+
+const node = process.execPath;
+
+describe("runProcess", function () {
+  this.timeout(10000);
+
+  it("should run a process and pass its output and exit code", () => {
+    return asyncVerify(
+      runProcess(node, ["-e", "console.log('hello'); console.error('oops')"], {
+        expectExitCode: 0
+      }),
+      r => {
+        expect(r).to.include({ stdout: "hello\n", code: 0, signal: null });
+        expect(r.stderr).to.match(/^oops\n/);
+      }
+    );
+  });
+
+  it("should pass env and cwd to the process", () => {
+    return asyncVerify(
+      runProcess(node, ["-e", "console.log(process.env.FOO, process.cwd())"], {
+        env: { FOO: "bar" },
+        cwd: __dirname
+      }),
+      r => {
+        expect(r.stdout).to.equal(`bar ${__dirname}\n`);
+      }
+    );
+  });
+
+  it("should fail if the process exits with an unexpected code", () => {
+    return asyncVerify(
+      expectError(
+        runProcess(node, ["-e", "console.error('bad'); process.exit(3)"], { expectExitCode: 0 })
+      ),
+      err => {
+        expect(err.message).to.contain("exited with code 3, expected 0");
+        expect(err.message).to.match(/stderr: bad/);
+        expect(err.result.code).to.equal(3);
+      }
+    );
+  });
+
+  it("should fail if the process can't be started", () => {
+    return asyncVerify(expectError(runProcess("not-a-command-xyz")), err => {
+      expect(err.code).to.equal("ENOENT");
+      expect(err.result.code).to.equal(null);
+    });
+  });
+
+  it("should kill the process and fail if it times out", () => {
+    return asyncVerify(
+      expectError(runProcess(node, ["-e", "setTimeout(() => {}, 10000)"], { timeout: 100 })),
+      err => {
+        expect(err.message).to.contain("timeout after 100ms");
+        expect(err.result.signal).to.equal("SIGTERM");
+      }
+    );
+  });
+
+  it("should SIGKILL a process that times out and doesn't exit after SIGTERM", () => {
+    return asyncVerify(
+      expectError(
+        runProcess(node, ["-e", "process.on('SIGTERM', () => {}); setInterval(() => {}, 1000)"], {
+          timeout: 1000,
+          killTimeout: 100
+        })
+      ),
+      err => {
+        expect(err.message).to.contain("timeout after 1000ms");
+        expect(err.result.signal).to.equal("SIGKILL");
+      }
+    );
+  });
+
+  it("should kill a process in background when the verification is done", () => {
+    let proc;
+    return asyncVerify(
+      runProcess(node, ["-e", "console.log('ready on 8080'); setInterval(() => {}, 1000)"], {
+        background: true
+      }),
+      expectOutput(/ready on (\d+)/),
+      p => {
+        proc = p;
+        expect(p.match[1]).to.equal("8080");
+        expect(p.exited).to.equal(false);
+      }
+    ).then(() => {
+      expect(proc.exited).to.equal(true);
+      expect(proc.signal).to.equal("SIGTERM");
+    });
+  });
+
+  it("should SIGKILL a process that doesn't exit after SIGTERM", () => {
+    let proc;
+    return asyncVerify(
+      runProcess(
+        node,
+        [
+          "-e",
+          "process.on('SIGTERM', () => {}); console.log('ready'); setInterval(() => {}, 1000)"
+        ],
+        { background: true, killTimeout: 100 }
+      ),
+      expectOutput(/ready/),
+      p => (proc = p)
+    ).then(() => {
+      expect(proc.signal).to.equal("SIGKILL");
+    });
+  });
+
+  it("should let a process in background be waited for", () => {
+    return asyncVerify(
+      runProcess(node, ["-e", "console.log('done')"], { background: true, expectExitCode: 0 }),
+      p => p.wait(),
+      r => {
+        expect(r.stdout).to.equal("done\n");
+      }
+    );
+  });
+});
+
+describe("expectOutput", function () {
+  this.timeout(10000);
+
+  it("should match a line of stderr", () => {
+    return asyncVerify(
+      runProcess(node, ["-e", "console.error('a\\nwarning: x'); setInterval(() => {}, 1000)"], {
+        background: true
+      }),
+      expectOutput(/^warning: (.*)$/, { stream: "stderr", timeout: 5000 }),
+      p => {
+        expect(p.match[1]).to.equal("x");
+      }
+    );
+  });
+
+  it("should run the check function in strict mode", () => {
+    return asyncVerify(
+      { strict: true },
+      runProcess(node, ["-e", "console.log('ready'); setInterval(() => {}, 1000)"], {
+        background: true
+      }),
+      expectOutput(/^ready$/, { timeout: 5000 })
+    );
+  });
+
+  it("should pass the process to the check function in context mode", () => {
+    return verifyWithContext(
+      runProcess(node, ["-e", "console.log('ready'); setInterval(() => {}, 1000)"], {
+        background: true
+      }),
+      expectOutput(/^ready$/, { timeout: 5000 }),
+      (ctx, p) => expect(p.match[0]).to.equal("ready")
+    );
+  });
+
+  it("should fail if the process exits without a matching line", () => {
+    return asyncVerify(
+      runProcess(node, ["-e", "setTimeout(() => console.log('bye'), 50)"], { background: true }),
+      expectError(expectOutput(/ready/)),
+      err => {
+        expect(err.message).to.contain("no line of stdout matches /ready/ - process exited");
+        expect(err.message).to.contain("stdout: bye");
+      }
+    );
+  });
+
+  it("should fail if the process already exited without a matching line", () => {
+    return asyncVerify(
+      runProcess(node, ["-e", "console.log('x'.repeat(600))"], { background: true }),
+      p => p.wait().then(() => p),
+      expectError(expectOutput(/ready/)),
+      err => {
+        expect(err.message).to.contain("process exited");
+        expect(err.message).to.contain("stdout: ...xxx");
+      }
+    );
+  });
+
+  it("should fail if no line matches in time", () => {
+    return asyncVerify(
+      runProcess(node, ["-e", "setInterval(() => {}, 1000)"], { background: true }),
+      expectError(expectOutput(/ready/, { timeout: 100 })),
+      err => {
+        expect(err.message).to.contain("timeout after 100ms");
+      }
+    );
+  });
+});
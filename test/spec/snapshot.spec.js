@@ -0,0 +1,173 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { asyncVerify, verifyWithContext, expectError, matchSnapshot } = require("../..");
+const { serialize } = require("../../lib/snapshot");
+
+describe("matchSnapshot", function () {
+  const dir = path.join(__dirname, "../../.tmp/snapshots");
+  const file = path.join(dir, "snapshot.spec.js.snap.json");
+  const readFile = () => JSON.parse(fs.readFileSync(file, "utf8"));
+
+  const saveCI = process.env.CI;
+
+  beforeEach(() => {
+    delete process.env.CI;
+  });
+
+  afterEach(() => {
+    delete process.env.RUN_VERIFY_UPDATE_SNAPSHOTS;
+    if (saveCI !== undefined) {
+      process.env.CI = saveCI;
+    }
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should save a new snapshot and pass the result on", () => {
+    return asyncVerify(
+      () => ({ b: 2, a: [1, "x"] }),
+      matchSnapshot("new", { dir }),
+      r => {
+        expect(r).to.deep.equal({ b: 2, a: [1, "x"] });
+        expect(readFile().new).to.equal(serialize({ a: [1, "x"], b: 2 }));
+      }
+    );
+  });
+
+  it("should pass if the result matches the snapshot", () => {
+    return asyncVerify(
+      () => ({ a: [1, "x"], b: 2 }),
+      matchSnapshot("new", { dir }),
+      () => "hello",
+      matchSnapshot("hello", { dir }),
+      () => "hello",
+      matchSnapshot("hello", { dir }),
+      () => {
+        expect(Object.keys(readFile())).to.deep.equal(["hello", "new"]);
+      }
+    );
+  });
+
+  it("should run the check function in strict mode", () => {
+    return asyncVerify({ strict: true }, () => "hello", matchSnapshot("hello", { dir }));
+  });
+
+  it("should name a snapshot without a name by the test file and a count", () => {
+    return asyncVerify(
+      () => "one",
+      matchSnapshot(undefined, { dir }),
+      () => "two",
+      matchSnapshot(undefined, { dir }),
+      () => {
+        expect(readFile()["snapshot.spec.js 1"]).to.equal("'one'");
+        expect(readFile()["snapshot.spec.js 2"]).to.equal("'two'");
+      }
+    );
+  });
+
+  it("should fail if the name of the snapshot is not a string", () => {
+    expect(() => matchSnapshot("")).to.throw(
+      "matchSnapshot: the name of the snapshot must be a non-empty string"
+    );
+    expect(() => matchSnapshot({ dir })).to.throw("the name of the snapshot must be");
+  });
+
+  it("should pass the result to the check function in context mode", () => {
+    return verifyWithContext(
+      () => "hello",
+      matchSnapshot("hello", { dir }),
+      (ctx, r) => expect(r).to.equal("hello")
+    );
+  });
+
+  it("should fail instead of saving a new snapshot with env CI", () => {
+    return asyncVerify(
+      () => {
+        process.env.CI = "1";
+        return "x";
+      },
+      expectError(matchSnapshot("ci", { dir })),
+      err => {
+        expect(err.name).to.equal("AssertionError");
+        expect(err.message).to.equal(
+          `matchSnapshot: snapshot 'ci' is missing in ${file}, and it's not saved when env CI is set`
+        );
+        expect(readFile().ci).to.equal(undefined);
+        process.env.RUN_VERIFY_UPDATE_SNAPSHOTS = "1";
+        return "x";
+      },
+      matchSnapshot("ci", { dir }),
+      () => expect(readFile().ci).to.equal("'x'")
+    );
+  });
+
+  it("should fail with a diff if the result doesn't match", () => {
+    const lines = n => Array.from({ length: n }, (x, ix) => `line ${ix}`);
+    return asyncVerify(
+      () => lines(10),
+      matchSnapshot("lines", { dir }),
+      () => lines(10).concat("line 10"),
+      expectError(matchSnapshot("lines", { dir })),
+      err => {
+        expect(err.name).to.equal("AssertionError");
+        expect(err.message).contains("matchSnapshot: snapshot 'lines'");
+        expect(err.message).contains(`  ...
+    'line 6',
+    'line 7',
+    'line 8',
+-   'line 9'
++   'line 9',
++   'line 10'
+  ]`);
+        expect(err.expected).to.equal(serialize(lines(10)));
+        expect(err.actual).to.equal(serialize(lines(11)));
+      }
+    );
+  });
+
+  it("should read the snapshots saved by a previous run", () => {
+    const savedDir = path.join(dir, "saved");
+    fs.mkdirSync(savedDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(savedDir, "snapshot.spec.js.snap.json"),
+      JSON.stringify({ saved: "'x'" })
+    );
+    return asyncVerify(
+      () => "y",
+      expectError(matchSnapshot("saved", { dir: savedDir })),
+      err => expect(err.message).contains("- 'x'\n+ 'y'")
+    );
+  });
+
+  it("should update the snapshot with env RUN_VERIFY_UPDATE_SNAPSHOTS", () => {
+    return asyncVerify(
+      () => "old",
+      matchSnapshot("update", { dir }),
+      () => {
+        process.env.RUN_VERIFY_UPDATE_SNAPSHOTS = "1";
+        return "new";
+      },
+      matchSnapshot("update", { dir }),
+      matchSnapshot("update", { dir }),
+      () => expect(readFile().update).to.equal("'new'")
+    );
+  });
+
+  it("should save snapshots next to the test file by default", () => {
+    const defaultDir = path.join(__dirname, "__verify_snapshots__");
+    return asyncVerify(
+      () => "x",
+      matchSnapshot("default"),
+      () => {
+        const snapshots = JSON.parse(
+          fs.readFileSync(path.join(defaultDir, "snapshot.spec.js.snap.json"), "utf8")
+        );
+        expect(snapshots).to.deep.equal({ default: "'x'" });
+      }
+    ).finally(() => fs.rmSync(defaultDir, { recursive: true, force: true }));
+  });
+});
@@ -0,0 +1,126 @@
+// Type tests for the type definitions, checked with tsc, see the test-types script
+
+import {
+  asyncVerify,
+  runVerify,
+  verifyWithContext,
+  runFinally,
+  step,
+  expectError,
+  withCallback,
+  verifyEqual,
+  matchSnapshot,
+  VerifyStep
+} from "../..";
+import { startServer, httpRequest, expectStatus } from "../../http";
+import { verifyIt } from "../../adapters";
+
+// the result of each check function is passed to the next one
+const str: Promise<string> = asyncVerify(
+  () => 1,
+  (r: number) => r + 1,
+  r => `${r.toFixed(0)}`
+);
+asyncVerify(
+  { strict: true },
+  () => "a",
+  step("upper", (r: string) => r.toUpperCase())
+);
+runVerify(
+  () => 1,
+  (r: number) => r,
+  (err, r) => r
+);
+
+// @ts-expect-error - the result of the previous check function is not a number
+asyncVerify(
+  () => "a",
+  (r: number) => r
+);
+
+// @ts-expect-error - also after an options object
+asyncVerify(
+  { strict: true },
+  () => "a",
+  (r: number) => r
+);
+
+// @ts-expect-error - also with runVerify
+runVerify(
+  () => "a",
+  (r: number) => r,
+  () => undefined
+);
+
+// @ts-expect-error - a promise of a string resolves to a string
+asyncVerify(
+  () => Promise.resolve("a"),
+  (r: number) => r
+);
+
+// expectError passes the error on
+asyncVerify(
+  expectError(() => {
+    throw new Error("oops");
+  }),
+  (err: Error) => err.message
+);
+
+// callbacks, finally, and the assertions pass the result on
+asyncVerify(
+  withCallback((r: unknown, next: (err?: Error | null, r?: number) => void) => next(null, 1)),
+  runFinally(() => undefined),
+  verifyEqual(1),
+  matchSnapshot(),
+  matchSnapshot("named", { dir: "snapshots" })
+);
+
+// chains longer than the overloads still type-check
+const long: Promise<any> = asyncVerify(
+  () => 1,
+  () => 2,
+  () => 3,
+  () => 4,
+  () => 5,
+  () => 6,
+  () => 7,
+  () => 8,
+  () => 9,
+  () => 10
+);
+runVerify(
+  () => 1,
+  () => 2,
+  () => 3,
+  () => 4,
+  () => 5,
+  () => 6,
+  () => 7,
+  () => 8,
+  () => 9,
+  (err: any) => undefined
+);
+
+// @ts-expect-error - a long chain still needs check functions
+asyncVerify(() => 1, 2, 3, 4, 5, 6, 7, 8, 9, 10);
+
+// the context can be chained with cleanup
+verifyWithContext(ctx => ctx.cleanup(() => undefined).cleanup(c => c.results));
+
+// a verification error has its trace
+asyncVerify(() => 1).catch((err: { verifyTrace: VerifyStep[] }) => {
+  const passed: boolean | undefined = err.verifyTrace[0].passed;
+  return passed;
+});
+
+// http check functions
+asyncVerify(
+  startServer(() => undefined),
+  (url: string) => url,
+  httpRequest({ url: "/" }),
+  expectStatus(200)
+);
+
+verifyIt("should run a verification", () => 1);
+
+export { str, long };